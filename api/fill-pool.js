@@ -0,0 +1,42 @@
+import { fillPool, getPoolStatus } from '../lib/comic-pool.js';
+import { APIError, handleError } from '../lib/errors.js';
+
+const log = (...args) => console.log('[FILL-POOL]', ...args);
+
+/**
+ * Tops up the pool of ready comics. Called by the Vercel cron in vercel.json
+ * (GET), or by hand (POST). Every fill pays for new comics, so the request must send
+ * `Authorization: Bearer <CRON_SECRET>`, which Vercel cron does automatically; without
+ * CRON_SECRET the endpoint is off.
+ * @param {Object} req - HTTP request object
+ * @param {Object} res - HTTP response object
+ * @returns {Promise<void>} JSON response with the comics added and the pool status
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    log('Method not allowed:', req.method);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const secret = process.env.CRON_SECRET;
+    if (!secret) {
+      throw new APIError('CRON_SECRET is not configured', 403);
+    }
+    if (req.headers?.authorization !== `Bearer ${secret}`) {
+      throw new APIError('Unauthorized', 401);
+    }
+
+    const result = await fillPool();
+    const pool = await getPoolStatus();
+
+    return res.status(200).json({
+      success: true,
+      ...result,
+      pool
+    });
+
+  } catch (error) {
+    return handleError(res, error);
+  }
+}
@@ -0,0 +1,50 @@
+import { getCastMember, getCastRoster } from '../lib/cast.js';
+
+const log = (...args) => console.log('[GET-CAST]', ...args);
+
+const MAX_ROSTER_LIMIT = 100;
+
+/**
+ * Lists the recurring cast, or one character when `name` is given
+ * @param {Object} req - HTTP request object with optional `name` and `limit` query parameters
+ * @param {Object} res - HTTP response object
+ * @returns {Promise<void>} JSON response with the roster or a single character
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    log('Method not allowed:', req.method);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { name, limit } = req.query;
+
+    if (name) {
+      const member = await getCastMember(name);
+      if (!member) {
+        log('Character not found:', name);
+        return res.status(404).json({
+          success: false,
+          error: 'Character not found',
+          name
+        });
+      }
+      res.setHeader('Cache-Control', 's-maxage=60, stale-while-revalidate');
+      return res.status(200).json({ success: true, character: member });
+    }
+
+    const parsedLimit = Number.parseInt(limit, 10);
+    const rosterLimit = Number.isFinite(parsedLimit) && parsedLimit > 0 ? Math.min(parsedLimit, MAX_ROSTER_LIMIT) : 20;
+    const cast = await getCastRoster({ limit: rosterLimit });
+
+    res.setHeader('Cache-Control', 's-maxage=60, stale-while-revalidate');
+    return res.status(200).json({ success: true, cast });
+
+  } catch (error) {
+    log('Error getting cast:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve cast'
+    });
+  }
+}
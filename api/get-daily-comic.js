@@ -0,0 +1,52 @@
+import { getDailyComic, listDailyComics, isValidDate } from '../lib/daily-comic.js';
+import { APIError, handleError } from '../lib/errors.js';
+
+const log = (...args) => console.log('[GET-DAILY-COMIC]', ...args);
+
+const MAX_ARCHIVE_LIMIT = 100;
+
+/**
+ * Returns the comic of the day for `?date=YYYY-MM-DD`, or the latest pick when
+ * no date is given. `?archive=1` lists past picks instead (`limit`, `offset`).
+ * @param {Object} req - HTTP request object with query parameters
+ * @param {Object} res - HTTP response object
+ * @returns {Promise<void>} JSON response with the pick and its comic, or the archive
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    log('Method not allowed:', req.method);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { date, archive, limit, offset } = req.query;
+
+    if (archive) {
+      const parsedLimit = Number.parseInt(limit, 10);
+      const parsedOffset = Number.parseInt(offset, 10);
+      const days = await listDailyComics({
+        limit: Number.isFinite(parsedLimit) && parsedLimit > 0 ? Math.min(parsedLimit, MAX_ARCHIVE_LIMIT) : 30,
+        offset: Number.isFinite(parsedOffset) && parsedOffset > 0 ? parsedOffset : 0
+      });
+      res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate');
+      return res.status(200).json({ success: true, days });
+    }
+
+    if (date && !isValidDate(date)) {
+      throw new APIError('date must be YYYY-MM-DD', 400);
+    }
+
+    const daily = await getDailyComic(date);
+    if (!daily) {
+      throw new APIError(date ? `No comic of the day for ${date}` : 'No comic of the day yet', 404);
+    }
+
+    const { comic, ...pick } = daily;
+    // A past day never changes; the latest pick does once the next day is pinned
+    res.setHeader('Cache-Control', date && daily.nextDate ? 's-maxage=86400, stale-while-revalidate' : 's-maxage=300, stale-while-revalidate');
+    return res.status(200).json({ success: true, comic, daily: pick });
+
+  } catch (error) {
+    return handleError(res, error);
+  }
+}
@@ -1,4 +1,5 @@
 import { kv } from '../lib/redis.js';
+import { REACTION_TYPES, reactionTypesBySentiment } from '../src/reactions-registry.js';
 
 const log = (...args) => console.log('[GET-REACTIONS]', ...args);
 
@@ -72,13 +73,7 @@ async function getComicStats(comicId) {
       }
     }
 
-    const reactionTypes = [
-      'thumbsup', 'lol', 'heartwarming', 'awesome', 'inspired', 'unique',
-      'mindblown', 'celebrating', 'deep', 'relatable', 'confused', 'meh',
-      'sad', 'spooked', 'gross', 'cringe', 'angry', 'facepalm',
-      'eyeroll', 'skeptical', 'offended'
-    ];
-    reactionTypes.forEach(type => {
+    REACTION_TYPES.forEach(type => {
       if (!(type in processedStats)) {
         processedStats[type] = 0;
       }
@@ -89,14 +84,8 @@ async function getComicStats(comicId) {
     
     const total = processedStats.total || 0;
     if (total > 0) {
-      const positiveCount = (processedStats.thumbsup || 0) + 
-                           (processedStats.lol || 0) + 
-                           (processedStats.heartwarming || 0) + 
-                           (processedStats.awesome || 0) + 
-                           (processedStats.inspired || 0) + 
-                           (processedStats.unique || 0) + 
-                           (processedStats.mindblown || 0) + 
-                           (processedStats.celebrating || 0);
+      const positiveCount = reactionTypesBySentiment('positive')
+        .reduce((sum, type) => sum + (processedStats[type] || 0), 0);
       processedStats.engagementRate = Math.round((positiveCount / total) * 100);
     } else {
       processedStats.engagementRate = 0;
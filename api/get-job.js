@@ -0,0 +1,57 @@
+import { kv } from '../lib/redis.js';
+import { getJob, describeJob } from '../lib/jobs.js';
+
+const log = (...args) => console.log('[GET-JOB]', ...args);
+
+/**
+ * Reports the status of a comic generation job
+ * @param {Object} req - HTTP request object with `id` query parameter
+ * @param {Object} res - HTTP response object
+ * @returns {Promise<void>} JSON response with job status, plus the comic once done
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    log('Method not allowed:', req.method);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { id } = req.query;
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Job ID required'
+      });
+    }
+
+    const storedJob = await getJob(id);
+
+    if (!storedJob) {
+      log('Job not found:', id);
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        id
+      });
+    }
+
+    const job = describeJob(storedJob);
+    const response = { success: true, job };
+
+    if (job.status === 'done' && job.comicId) {
+      response.comic = await kv.get(`comic:${job.comicId}`);
+    }
+
+    res.setHeader('Cache-Control', 'no-store');
+
+    return res.status(200).json(response);
+
+  } catch (error) {
+    log('Error getting job:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve job'
+    });
+  }
+}
@@ -0,0 +1,26 @@
+import { getPoolStatus } from '../lib/comic-pool.js';
+import { handleError } from '../lib/errors.js';
+
+const log = (...args) => console.log('[GET-POOL]', ...args);
+
+/**
+ * Reports the comic pool: size against its target, age, and how often
+ * generation requests were served from it (hit rate and misses by reason)
+ * @param {Object} req - HTTP request object
+ * @param {Object} res - HTTP response object
+ * @returns {Promise<void>} JSON response with the pool status
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    log('Method not allowed:', req.method);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const pool = await getPoolStatus();
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json({ success: true, pool, lastUpdated: new Date().toISOString() });
+  } catch (error) {
+    return handleError(res, error);
+  }
+}
@@ -0,0 +1,41 @@
+import { getPopularComics, POPULAR_WINDOWS } from '../lib/popularity.js';
+import { APIError, handleError } from '../lib/errors.js';
+
+const log = (...args) => console.log('[GET-POPULAR]', ...args);
+
+const MAX_LIMIT = 50;
+
+/**
+ * Returns the most popular comics, ranked by a confidence-adjusted reaction score
+ * @param {Object} req - HTTP request object with `window` (hot, day, week, all; default hot) and `limit` query parameters
+ * @param {Object} res - HTTP response object
+ * @returns {Promise<void>} JSON response with the comics and their rankings
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    log('Method not allowed:', req.method);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { window = 'hot', limit } = req.query;
+    if (!POPULAR_WINDOWS.includes(window)) {
+      throw new APIError(`window must be one of: ${POPULAR_WINDOWS.join(', ')}`, 400);
+    }
+
+    const parsedLimit = Number.parseInt(limit, 10);
+    const listLimit = Number.isFinite(parsedLimit) && parsedLimit > 0 ? Math.min(parsedLimit, MAX_LIMIT) : 10;
+    const { comics, rankings } = await getPopularComics({ window, limit: listLimit });
+
+    res.setHeader('Cache-Control', 's-maxage=300, stale-while-revalidate');
+    return res.status(200).json({
+      success: true,
+      window,
+      comics,
+      rankings
+    });
+
+  } catch (error) {
+    return handleError(res, error);
+  }
+}
@@ -0,0 +1,45 @@
+import { getProvenance } from '../lib/provenance.js';
+import { APIError, handleError } from '../lib/errors.js';
+
+const log = (...args) => console.log('[GET-PROVENANCE]', ...args);
+
+/**
+ * Returns the prompts, model outputs, usage and timings behind a comic, or behind a failed job.
+ * The request must send PROVENANCE_TOKEN in the `x-debug-token` header; without the variable the endpoint is off.
+ * @param {Object} req - HTTP request object with `comicId` or `jobId` query parameter
+ * @param {Object} res - HTTP response object
+ * @returns {Promise<void>} JSON response with the provenance record
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    log('Method not allowed:', req.method);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Prompts, user direction and raw model output are never public
+    const token = process.env.PROVENANCE_TOKEN;
+    if (!token) {
+      throw new APIError('Provenance is disabled', 403);
+    }
+    if (req.headers?.['x-debug-token'] !== token) {
+      throw new APIError('Debug token required', 401);
+    }
+
+    const { comicId, jobId } = req.query;
+    if (!comicId && !jobId) {
+      throw new APIError('comicId or jobId required', 400);
+    }
+
+    const provenance = await getProvenance({ comicId, jobId });
+    if (!provenance) {
+      throw new APIError('Provenance not found', 404);
+    }
+
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json({ success: true, provenance });
+
+  } catch (error) {
+    return handleError(res, error);
+  }
+}
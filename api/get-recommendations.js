@@ -0,0 +1,43 @@
+import { getRecommendations } from '../lib/recommendations.js';
+import { APIError, handleError } from '../lib/errors.js';
+
+const log = (...args) => console.log('[GET-RECOMMENDATIONS]', ...args);
+
+const MAX_LIMIT = 50;
+const MAX_EXCLUDE = 100;
+
+/**
+ * Returns existing comics a user has not seen, ranked for them
+ * @param {Object} req - HTTP request object with `userId`, `limit` and `exclude` (comma-separated comic IDs) query parameters
+ * @param {Object} res - HTTP response object
+ * @returns {Promise<void>} JSON response with the comics and why each was picked
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    log('Method not allowed:', req.method);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { userId, limit, exclude } = req.query;
+    if (!userId) {
+      throw new APIError('userId is required', 400);
+    }
+
+    const parsedLimit = Number.parseInt(limit, 10);
+    const listLimit = Number.isFinite(parsedLimit) && parsedLimit > 0 ? Math.min(parsedLimit, MAX_LIMIT) : 10;
+    const excludeIds = typeof exclude === 'string' ? exclude.split(',').filter(Boolean).slice(0, MAX_EXCLUDE) : [];
+
+    const { comics, recommendations } = await getRecommendations(userId, { limit: listLimit, exclude: excludeIds });
+
+    res.setHeader('Cache-Control', 'private, no-store');
+    return res.status(200).json({
+      success: true,
+      comics,
+      recommendations
+    });
+
+  } catch (error) {
+    return handleError(res, error);
+  }
+}
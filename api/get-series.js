@@ -0,0 +1,50 @@
+import { getSeries, listSeries } from '../lib/series.js';
+
+const log = (...args) => console.log('[GET-SERIES]', ...args);
+
+const MAX_LIST_LIMIT = 50;
+
+/**
+ * Returns one series with its episode list, or the most recently continued series when no `id` is given
+ * @param {Object} req - HTTP request object with optional `id` and `limit` query parameters
+ * @param {Object} res - HTTP response object
+ * @returns {Promise<void>} JSON response with the series or the series list
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    log('Method not allowed:', req.method);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { id, limit } = req.query;
+
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (id) {
+      const series = await getSeries(id);
+      if (!series) {
+        log('Series not found:', id);
+        return res.status(404).json({
+          success: false,
+          error: 'Series not found',
+          id
+        });
+      }
+      return res.status(200).json({ success: true, series });
+    }
+
+    const parsedLimit = Number.parseInt(limit, 10);
+    const listLimit = Number.isFinite(parsedLimit) && parsedLimit > 0 ? Math.min(parsedLimit, MAX_LIST_LIMIT) : 20;
+    const series = await listSeries({ limit: listLimit });
+
+    return res.status(200).json({ success: true, series });
+
+  } catch (error) {
+    log('Error getting series:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve series'
+    });
+  }
+}
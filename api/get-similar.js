@@ -0,0 +1,52 @@
+import { getSimilarComics } from '../lib/embeddings.js';
+import { handleError } from '../lib/errors.js';
+
+const log = (...args) => console.log('[GET-SIMILAR]', ...args);
+
+const MAX_LIMIT = 20;
+
+/**
+ * Returns the comics whose scripts are closest to one comic's
+ * @param {Object} req - HTTP request object with `comicId` and optional `limit` query parameters
+ * @param {Object} res - HTTP response object
+ * @returns {Promise<void>} JSON response with the similar comics and their similarity scores
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    log('Method not allowed:', req.method);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { comicId, limit } = req.query;
+    if (!comicId) {
+      return res.status(400).json({
+        success: false,
+        error: 'comicId is required'
+      });
+    }
+
+    const parsedLimit = Number.parseInt(limit, 10);
+    const listLimit = Number.isFinite(parsedLimit) && parsedLimit > 0 ? Math.min(parsedLimit, MAX_LIMIT) : 5;
+    const result = await getSimilarComics(comicId, { limit: listLimit });
+    if (!result) {
+      log('Comic not found:', comicId);
+      return res.status(404).json({
+        success: false,
+        error: 'Comic not found',
+        comicId
+      });
+    }
+
+    res.setHeader('Cache-Control', 's-maxage=600, stale-while-revalidate');
+    return res.status(200).json({
+      success: true,
+      comicId,
+      comics: result.comics,
+      similar: result.similar
+    });
+
+  } catch (error) {
+    return handleError(res, error);
+  }
+}
@@ -0,0 +1,65 @@
+import { getUsageReport, getComicUsage, getBudgets, checkBudget } from '../lib/usage.js';
+import { APIError, handleError } from '../lib/errors.js';
+
+const log = (...args) => console.log('[GET-USAGE]', ...args);
+
+const MAX_DAYS = 90;
+
+/**
+ * Reports token usage and estimated spend: daily totals for the deployment and
+ * optionally one user (`?userId=`, `?days=` up to 90), or one comic (`?comicId=`).
+ * Like provenance, the request must send PROVENANCE_TOKEN in the `x-debug-token` header.
+ * @param {Object} req - HTTP request object with query parameters
+ * @param {Object} res - HTTP response object
+ * @returns {Promise<void>} JSON response with usage, budgets and today's budget status
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    log('Method not allowed:', req.method);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Spend per user and per comic is for operators only
+    const token = process.env.PROVENANCE_TOKEN;
+    if (!token) {
+      throw new APIError('Usage reports are disabled', 403);
+    }
+    if (req.headers?.['x-debug-token'] !== token) {
+      throw new APIError('Debug token required', 401);
+    }
+
+    const { comicId, userId } = req.query;
+
+    if (comicId) {
+      const usage = await getComicUsage(comicId);
+      if (!usage) {
+        throw new APIError('Usage not found', 404);
+      }
+      res.setHeader('Cache-Control', 'no-store');
+      return res.status(200).json({ success: true, comicId, usage });
+    }
+
+    const days = Number.parseInt(req.query.days || '7', 10);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+      throw new APIError(`days must be between 1 and ${MAX_DAYS}`, 400);
+    }
+
+    const [report, budget] = await Promise.all([
+      getUsageReport({ userId, days }),
+      checkBudget(userId)
+    ]);
+
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).json({
+      success: true,
+      ...report,
+      budgets: getBudgets(),
+      budgetStatus: budget,
+      lastUpdated: new Date().toISOString()
+    });
+
+  } catch (error) {
+    return handleError(res, error);
+  }
+}
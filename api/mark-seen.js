@@ -0,0 +1,39 @@
+import { markSeen } from '../lib/recommendations.js';
+import { APIError, handleError } from '../lib/errors.js';
+
+const log = (...args) => console.log('[MARK-SEEN]', ...args);
+
+const MAX_COMICS = 50;
+
+/**
+ * Records comics a user has been shown, so recommendations skip them
+ * @param {Object} req - HTTP request object
+ * @param {string} req.body.userId - User ID
+ * @param {string|string[]} req.body.comicIds - Comic ID, or IDs, shown
+ * @param {Object} res - HTTP response object
+ * @returns {Promise<void>} JSON response with the number of comics recorded
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    log('Method not allowed:', req.method);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const { userId, comicIds } = req.body || {};
+    const ids = (Array.isArray(comicIds) ? comicIds : [comicIds])
+      .filter(id => typeof id === 'string' && id.length > 0);
+    if (!userId || ids.length === 0) {
+      throw new APIError('userId and comicIds are required', 400);
+    }
+    if (ids.length > MAX_COMICS) {
+      throw new APIError(`At most ${MAX_COMICS} comics per request`, 400);
+    }
+
+    const recorded = await markSeen(userId, ids);
+    return res.status(200).json({ success: true, recorded });
+
+  } catch (error) {
+    return handleError(res, error);
+  }
+}
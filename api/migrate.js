@@ -1,9 +1,21 @@
+import { migrateLegacyStats } from '../lib/reaction-stats.js';
+
 const log = (...args) => console.log('[MIGRATE]', ...args);
 
+/**
+ * Converts the old JSON token and concept stats into the hashes and sorted sets
+ * lib/reaction-stats.js keeps. It rewrites the stats and deletes the old keys, so the
+ * request must send `Authorization: Bearer <CRON_SECRET>`; without CRON_SECRET the
+ * endpoint is off.
+ * @param {Object} req - HTTP request object
+ * @param {string} [req.query.dryRun] - '1' to count what would be converted without writing
+ * @param {Object} res - HTTP response object
+ * @returns {Promise<void>} JSON response with the records converted
+ */
 export default async function handler(req, res) {
   const requestId = `migrate_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
   const requestStartTime = Date.now();
-  
+
   log('🚀 MIGRATION REQUEST RECEIVED:', requestId);
 
   if (req.method !== 'POST') {
@@ -11,15 +23,28 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    log('❌ Migration refused, CRON_SECRET is not configured:', requestId);
+    return res.status(403).json({ error: 'CRON_SECRET is not configured' });
+  }
+  if (req.headers?.authorization !== `Bearer ${secret}`) {
+    log('❌ Unauthorized migration request:', requestId);
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
   try {
-    log('🔄 Migration endpoint called - logic cleared');
-    
+    const dryRun = req.query?.dryRun === '1' || req.query?.dryRun === 'true';
+    log('🔄 Migrating legacy token and concept stats:', { requestId, dryRun });
+
+    const result = await migrateLegacyStats({ dryRun });
     const totalDuration = Date.now() - requestStartTime;
-    
+
     return res.status(200).json({
       success: true,
-      message: 'Migration endpoint active but logic cleared',
-      migrated: 0,
+      dryRun,
+      migrated: result.tokens + result.concepts,
+      ...result,
       meta: {
         requestId,
         duration: totalDuration,
@@ -35,7 +60,7 @@ export default async function handler(req, res) {
       duration: `${totalDuration}ms`,
       stack: error.stack?.slice(0, 300)
     });
-    
+
     return res.status(500).json({
       success: false,
       error: 'Migration failed',
@@ -47,4 +72,4 @@ export default async function handler(req, res) {
       }
     });
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,48 @@
+import { pinDailyComic, isValidDate, todayDate } from '../lib/daily-comic.js';
+import { APIError, handleError } from '../lib/errors.js';
+
+const log = (...args) => console.log('[PIN-DAILY-COMIC]', ...args);
+
+/**
+ * Pins the comic of the day. Called by the Vercel cron in vercel.json (GET),
+ * or by hand or a local timer (POST). `?date=YYYY-MM-DD` pins a past day,
+ * `?force=1` replaces an existing pick. The request must send
+ * `Authorization: Bearer <CRON_SECRET>`; without CRON_SECRET the endpoint is off.
+ * @param {Object} req - HTTP request object
+ * @param {Object} res - HTTP response object
+ * @returns {Promise<void>} JSON response with the day's pick
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    log('Method not allowed:', req.method);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const secret = process.env.CRON_SECRET;
+    if (!secret) {
+      throw new APIError('CRON_SECRET is not configured', 403);
+    }
+    if (req.headers?.authorization !== `Bearer ${secret}`) {
+      throw new APIError('Unauthorized', 401);
+    }
+
+    const date = req.query?.date || todayDate();
+    if (!isValidDate(date) || date > todayDate()) {
+      throw new APIError('date must be a day no later than today, as YYYY-MM-DD', 400);
+    }
+    const force = ['1', 'true'].includes(String(req.query?.force));
+
+    const { daily, created } = await pinDailyComic({ date, force });
+    const { comic, ...pick } = daily;
+
+    return res.status(created ? 201 : 200).json({
+      success: true,
+      created,
+      daily: pick
+    });
+
+  } catch (error) {
+    return handleError(res, error);
+  }
+}
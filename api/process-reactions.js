@@ -0,0 +1,48 @@
+import { processReactionQueue } from '../lib/reaction-stats.js';
+import { APIError, handleError } from '../lib/errors.js';
+
+const log = (...args) => console.log('[PROCESS-REACTIONS]', ...args);
+
+/**
+ * Drains the reaction queue into the token and concept stats and rebuilds the
+ * global token guidance. Called by the Vercel cron in vercel.json (GET), or by
+ * hand (POST). The request must send `Authorization: Bearer <CRON_SECRET>`, which
+ * Vercel cron does automatically; without CRON_SECRET the endpoint is off.
+ * @param {Object} req - HTTP request object
+ * @param {string} [req.query.batch] - Entries popped at a time
+ * @param {string} [req.query.maxBatches] - Batches before stopping
+ * @param {Object} res - HTTP response object
+ * @returns {Promise<void>} JSON response with the entries processed and the queue length left
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    log('Method not allowed:', req.method);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const secret = process.env.CRON_SECRET;
+    if (!secret) {
+      throw new APIError('CRON_SECRET is not configured', 403);
+    }
+    if (req.headers?.authorization !== `Bearer ${secret}`) {
+      throw new APIError('Unauthorized', 401);
+    }
+
+    const options = {};
+    const batchSize = Number.parseInt(req.query?.batch ?? '', 10);
+    const maxBatches = Number.parseInt(req.query?.maxBatches ?? '', 10);
+    if (batchSize > 0) options.batchSize = Math.min(batchSize, 1000);
+    if (maxBatches > 0) options.maxBatches = maxBatches;
+
+    const result = await processReactionQueue(options);
+
+    return res.status(200).json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    return handleError(res, error);
+  }
+}
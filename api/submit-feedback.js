@@ -1,21 +1,42 @@
 import { kv } from '../lib/redis.js';
+import { recordCastReaction } from '../lib/cast.js';
+import { enforceRateLimit } from '../lib/rate-limit.js';
+import { recordPopularity } from '../lib/popularity.js';
+import { enqueueReaction } from '../lib/reaction-stats.js';
+import { recordArmReward } from '../lib/bandit.js';
+import { getReaction, isReactionType, reactionWeight, MAX_REACTIONS_PER_COMIC } from '../src/reactions-registry.js';
 
 const log = (...args) => console.log('[SUBMIT-REACTIONS]', ...args);
 
+const USER_REACTIONS_TTL_SECONDS = 86400 * 90; // Same lifetime as the reaction records
+
+// Checks and records a user's reaction in one step, so two requests at once cannot
+// both pass the limit. Returns 1 when claimed, 0 for a duplicate, -1 over the limit.
+// KEYS: reaction set, reaction times; ARGV: type, limit, reacted at (ms), TTL (s)
+const CLAIM_REACTION_SCRIPT = `
+if redis.call('SISMEMBER', KEYS[1], ARGV[1]) == 1 then return 0 end
+if redis.call('SCARD', KEYS[1]) >= tonumber(ARGV[2]) then return -1 end
+redis.call('SADD', KEYS[1], ARGV[1])
+redis.call('HSET', KEYS[2], ARGV[1], ARGV[3])
+redis.call('EXPIRE', KEYS[1], ARGV[4])
+redis.call('EXPIRE', KEYS[2], ARGV[4])
+return 1
+`;
+
 /**
  * Handles submission of comic reactions including likes, reactions, and analytics
  * @param {Object} req - The HTTP request object
  * @param {Object} req.body - Request body containing reaction data
  * @param {string} req.body.comicId - ID of the comic being rated
- * @param {string} [req.body.userId] - ID of the user submitting reaction
- * @param {string} req.body.type - Type of reaction (thumbsup, lol, etc.)
- * @param {number} [req.body.weight] - Numerical weight of the reaction
+ * @param {string} req.body.userId - ID of the user submitting reaction
+ * @param {string} req.body.type - Type of reaction (thumbsup, lol, etc.); its weight comes from the reaction registry
  * @param {string} [req.body.timestamp] - ISO timestamp of reaction
  * @param {string[]} [req.body.comicTokens] - Tokens associated with the comic
  * @param {string[]} [req.body.semanticConcepts] - Semantic concepts in the comic
  * @param {string} [req.body.action] - Action type (increment/decrement)
  * @param {Object} res - The HTTP response object
- * @returns {Promise<Object>} JSON response with success status
+ * @returns {Promise<Object>} JSON response with success status and the user's reactions to the comic;
+ *   409 for a duplicate or one reaction too many, or for removing a reaction the user never gave
  */
 export default async function handler(req, res) {
 
@@ -24,29 +45,43 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  if (!await enforceRateLimit('feedback', req, res)) {
+    return;
+  }
+
+  // Set once the reaction is claimed, so a failure further on can hand it back
+  let claimed = null;
+
   try {
-    const { comicId, userId, type, weight, timestamp, comicTokens, semanticConcepts, action } = req.body;
-    log('Received reaction:', { comicId, userId, type, weight, timestamp, comicTokens, semanticConcepts, action });
+    const { comicId, userId, type, timestamp, comicTokens, semanticConcepts, action } = req.body;
+    log('Received reaction:', { comicId, userId, type, timestamp, comicTokens, semanticConcepts, action });
 
-    if (!comicId || !type) {
+    if (!comicId || !type || !userId) {
       return res.status(400).json({ 
         success: false,
         error: 'Missing required fields' 
       });
     }
 
-    const validTypes = [
-      'thumbsup', 'lol', 'heartwarming', 'awesome', 'inspired', 'unique',
-      'mindblown', 'celebrating', 'deep', 'relatable', 'confused', 'meh',
-      'sad', 'spooked', 'gross', 'cringe', 'angry', 'facepalm',
-      'eyeroll', 'skeptical', 'offended'
-    ];
-    if (!validTypes.includes(type)) {
+    if (!isReactionType(type)) {
       return res.status(400).json({ 
         success: false,
         error: 'Invalid reaction type' 
       });
     }
+    const weight = reactionWeight(type);
+
+    const userReactions = action === 'decrement'
+      ? await releaseUserReaction(comicId, userId, type)
+      : await claimUserReaction(comicId, userId, type);
+    if (userReactions.error) {
+      log('Reaction rejected:', { comicId, userId, type, action, error: userReactions.error });
+      return res.status(409).json({
+        success: false,
+        error: userReactions.error,
+        reactions: userReactions.reactions
+      });
+    }
 
     if (action === 'decrement') {
       const currentCount = parseInt(await kv.hget(`comic:${comicId}:stats`, type) || '0', 10);
@@ -56,31 +91,37 @@ export default async function handler(req, res) {
         if (totalCount > 0) {
           await kv.hincrby(`comic:${comicId}:stats`, 'total', -1);
         }
+        if (weight !== 0) {
+          await kv.hincrbyfloat(`comic:${comicId}:stats`, 'score', -weight);
+        }
+        try {
+          await recordPopularity(comicId, type, -1, userReactions.reactedAt);
+        } catch (error) {
+          log('Error updating popularity (non-blocking):', error.message);
+        }
+        await queueTokenStats({ comicId, type, weight, comicTokens, semanticConcepts, direction: -1, reactedAt: userReactions.reactedAt });
+        try {
+          await recordArmReward(comicId, userId, type, -1);
+        } catch (error) {
+          log('Error updating bandit reward (non-blocking):', error.message);
+        }
       }
-      const weights = {
-        love: 2,
-        funny: 1.5,
-        clever: 1.5,
-        inspiring: 1.5,
-        meh: 0,
-        confused: -1,
-        boring: -1.5,
-        offensive: -2
-      };
-      const scoreChange = weights[type] || 0;
-      if (scoreChange !== 0) {
-        await kv.hincrbyfloat(`comic:${comicId}:stats`, 'score', -scoreChange);
+      try {
+        await recordCastReaction(comicId, type, weight, -1);
+      } catch (error) {
+        log('Error updating cast reactions (non-blocking):', error.message);
       }
-      return res.status(200).json({ success: true });
+      return res.status(200).json({ success: true, reactions: userReactions.reactions });
     } else {
+      claimed = { comicId, userId, type };
       const reactionId = `reaction_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
       await storeReaction({
         id: reactionId,
         comicId,
-        userId: userId || 'anonymous',
+        userId,
         type,
-        weight: weight || 0,
+        weight,
         timestamp: timestamp || new Date().toISOString(),
         comicTokens: comicTokens || [],
         semanticConcepts: semanticConcepts || []
@@ -88,25 +129,7 @@ export default async function handler(req, res) {
 
       log('Reaction stored:', reactionId);
 
-      if (comicTokens && comicTokens.length > 0) {
-        log('Updating token stats for tokens:', comicTokens);
-        try {
-          await updateTokenStats(comicTokens, type, weight);
-          log('Token stats updated successfully');
-        } catch (error) {
-          log('Error updating token stats (non-blocking):', error.message);
-        }
-      }
-      
-      if (semanticConcepts && semanticConcepts.length > 0) {
-        log('Updating concept stats for concepts:', semanticConcepts);
-        try {
-          await updateConceptStats(semanticConcepts, type, weight);
-          log('Concept stats updated successfully');
-        } catch (error) {
-          log('Error updating concept stats (non-blocking):', error.message);
-        }
-      }
+      await queueTokenStats({ comicId, type, weight, comicTokens, semanticConcepts, reactedAt: userReactions.reactedAt });
 
       if (userId && weight) {
         await updateUserPreferences(userId, type, weight);
@@ -114,15 +137,42 @@ export default async function handler(req, res) {
 
       await updateComicStats(comicId, type, userId);
 
+      try {
+        await recordPopularity(comicId, type, 1, userReactions.reactedAt);
+      } catch (error) {
+        log('Error updating popularity (non-blocking):', error.message);
+      }
+
+      try {
+        await recordArmReward(comicId, userId, type);
+      } catch (error) {
+        log('Error updating bandit reward (non-blocking):', error.message);
+      }
+
+      try {
+        await recordCastReaction(comicId, type, weight);
+      } catch (error) {
+        log('Error updating cast reactions (non-blocking):', error.message);
+      }
+
       await logAnalytics(type, comicId, userId);
 
       return res.status(200).json({
-        success: true
+        success: true,
+        reactions: userReactions.reactions
       });
     }
 
   } catch (error) {
     log('Error submitting reaction:', error);
+    if (claimed) {
+      // Otherwise a retry would be refused as a duplicate of a reaction that was never counted
+      try {
+        await releaseUserReaction(claimed.comicId, claimed.userId, claimed.type);
+      } catch (releaseError) {
+        log('Error releasing reaction claim:', releaseError.message);
+      }
+    }
     return res.status(500).json({
       success: false,
       error: 'Failed to submit reaction'
@@ -130,6 +180,52 @@ export default async function handler(req, res) {
   }
 }
 
+/**
+ * Adds a reaction to the set a user has given a comic, refusing duplicates and
+ * reactions over the limit in the same atomic script. When the reaction was
+ * given is kept alongside, so removing it later takes back what it counted.
+ * @param {string} comicId - ID of the comic
+ * @param {string} userId - ID of the user
+ * @param {string} type - Reaction type
+ * @returns {Promise<{reactions: string[], reactedAt?: number, error?: string}>} The user's reactions to the comic,
+ *   when this one was given (ms), and why the reaction was refused
+ */
+async function claimUserReaction(comicId, userId, type) {
+  const key = `user:${userId}:reactions:${comicId}`;
+  const timesKey = `user:${userId}:reacted_at:${comicId}`;
+
+  const reactedAt = Date.now();
+  const claimed = Number(await kv.eval(CLAIM_REACTION_SCRIPT, [key, timesKey], [type, MAX_REACTIONS_PER_COMIC, reactedAt, USER_REACTIONS_TTL_SECONDS]));
+
+  if (claimed === 0) {
+    return { reactions: await kv.smembers(key), error: 'You already gave this reaction' };
+  }
+  if (claimed < 0) {
+    return { reactions: await kv.smembers(key), error: `You can give a comic at most ${MAX_REACTIONS_PER_COMIC} reactions` };
+  }
+  return { reactions: await kv.smembers(key), reactedAt };
+}
+
+/**
+ * Removes a reaction from the set a user has given a comic
+ * @param {string} comicId - ID of the comic
+ * @param {string} userId - ID of the user
+ * @param {string} type - Reaction type
+ * @returns {Promise<{reactions: string[], reactedAt?: number|null, error?: string}>} The user's reactions to the comic,
+ *   when the removed reaction was given (ms, null if unknown), and why the removal was refused
+ */
+async function releaseUserReaction(comicId, userId, type) {
+  const key = `user:${userId}:reactions:${comicId}`;
+  const timesKey = `user:${userId}:reacted_at:${comicId}`;
+
+  if (!await kv.srem(key, type)) {
+    return { reactions: await kv.smembers(key), error: 'You have not given this reaction' };
+  }
+  const reactedAt = Number(await kv.hget(timesKey, type)) || null;
+  await kv.hdel(timesKey, type);
+  return { reactions: await kv.smembers(key), reactedAt };
+}
+
 /**
  * Stores reaction data in Redis with appropriate expiration and list management
  * @param {Object} reaction - The reaction object to store
@@ -179,7 +275,7 @@ async function updateUserPreferences(userId, reactionType, weight) {
     const currentWeight = parseFloat(currentPrefs[reactionType] || 0);
     const newWeight = currentWeight + weight;
     
-    await kv.hset(key, reactionType, newWeight);
+    await kv.hset(key, { [reactionType]: newWeight });
 
     await calculatePreferenceSummary(userId);
 
@@ -189,7 +285,8 @@ async function updateUserPreferences(userId, reactionType, weight) {
 }
 
 /**
- * Calculates normalized preference summary from user reactions for AI training
+ * Calculates normalized preference summary from user reactions for AI training,
+ * bucketed by each reaction's sentiment in the registry (positive, neutral, negative)
  * @param {string} userId - ID of the user
  * @returns {Promise<void>} Promise that resolves when summary is calculated and stored
  */
@@ -204,15 +301,10 @@ async function calculatePreferenceSummary(userId) {
       
       for (const [type, weight] of Object.entries(prefs)) {
         const normalizedWeight = parseFloat(weight) / totalWeight;
+        const sentiment = getReaction(type)?.sentiment;
         
-        if (type === 'love' || type === 'inspiring') {
-          summary.positive = (summary.positive || 0) + normalizedWeight;
-        } else if (type === 'funny') {
-          summary.humor = (summary.humor || 0) + normalizedWeight;
-        } else if (type === 'clever') {
-          summary.intellectual = (summary.intellectual || 0) + normalizedWeight;
-        } else if (type === 'confused' || type === 'boring') {
-          summary.negative = (summary.negative || 0) + normalizedWeight;
+        if (sentiment) {
+          summary[sentiment] = (summary[sentiment] || 0) + normalizedWeight;
         }
       }
       
@@ -242,147 +334,45 @@ async function updateComicStats(comicId, reactionType, userId) {
     
     await kv.hincrby(`comic:${comicId}:stats`, 'total', 1);
     
-    const weights = {
-      love: 2,
-      funny: 1.5,
-      clever: 1.5,
-      inspiring: 1.5,
-      meh: 0,
-      confused: -1,
-      boring: -1.5,
-      offensive: -2
-    };
-    
-    const scoreChange = weights[reactionType] || 0;
+    const scoreChange = reactionWeight(reactionType);
     if (scoreChange !== 0) {
       await kv.hincrbyfloat(`comic:${comicId}:stats`, 'score', scoreChange);
     }
     
-    const stats = await kv.hgetall(`comic:${comicId}:stats`);
-    const score = parseFloat(stats.score || 0);
-    
-    if (score > 10) {
-      await kv.zadd('comics:popular', score, comicId);
-      await kv.zremrangebyrank('comics:popular', 0, -101);
-    }
-    
   } catch (error) {
     console.error('Error updating comic stats:', error);
   }
 }
 
 /**
- * Updates token statistics for AI guidance with Upstash compatibility
- * @param {string[]} tokens - Array of tokens to update stats for
- * @param {string} reactionType - Type of reaction received
- * @param {number} weight - Numerical weight of the reaction
- * @returns {Promise<void>} Promise that resolves when token stats are updated
- */
-async function updateTokenStats(tokens, reactionType, weight) {
-  try {
-    const isPositive = weight > 0;
-    const isNegative = weight < 0;
-    
-    await updateTokenRegistry(tokens);
-    
-    for (const token of tokens) {
-      const key = `token_stats:${token}`;
-      
-      const currentStats = await kv.get(key);
-      const stats = currentStats || {
-        positive: 0,
-        negative: 0,
-        total: 0,
-        lastUpdated: new Date().toISOString()
-      };
-      
-      if (isPositive) stats.positive += 1;
-      if (isNegative) stats.negative += 1;
-      stats.total += 1;
-      stats.lastUpdated = new Date().toISOString();
-      
-      await kv.set(key, stats, {
-        ex: 86400 * 90
-      });
-      
-      try {
-        await kv.lpush('reaction_queue', {
-          token,
-          reactionType,
-          weight,
-          timestamp: new Date().toISOString()
-        });
-      } catch (queueError) {
-        log('Warning: Failed to add to reaction queue (non-critical):', queueError.message);
-      }
-    }
-    
-    await kv.del('token_guidance_cache');
-    
-  } catch (error) {
-    console.error('Error updating token stats:', error);
-  }
-}
-
-/**
- * Maintains a registry of all tokens encountered for Upstash compatibility
- * @param {string[]} newTokens - Array of new tokens to add to registry
- * @returns {Promise<void>} Promise that resolves when registry is updated
+ * Queues a reaction for the token and concept stats, which the reaction worker
+ * (api/process-reactions) aggregates in batches
+ * @param {Object} reaction - Reaction details from the request
+ * @param {number} [reaction.direction=1] - 1 for a new reaction, -1 for a removed one
+ * @param {number|null} [reaction.reactedAt] - When the reaction was given (ms); a removal is dated at it
+ * @returns {Promise<void>} Promise that resolves when the reaction is queued
  */
-async function updateTokenRegistry(newTokens) {
+async function queueTokenStats({ comicId, type, weight, comicTokens, semanticConcepts, direction = 1, reactedAt }) {
   try {
-    let tokenRegistry = await kv.get('token_registry');
-    const currentTokens = tokenRegistry || [];
-    
-    const updatedTokens = [...new Set([...currentTokens, ...newTokens])];
-    
-    if (updatedTokens.length > 1000) {
-      updatedTokens.splice(0, updatedTokens.length - 1000);
+    if (!reactedAt) {
+      // Claimed before reaction times were kept: taking it back at today's scale would over-subtract
+      log('Reaction time unknown, token stats left as they are:', { comicId, type, direction });
+      return;
     }
-    
-    await kv.set('token_registry', updatedTokens);
-  } catch (error) {
-    console.error('Error updating token registry:', error);
-  }
-}
-
-/**
- * Updates semantic concept statistics based on user reactions
- * @param {string[]} concepts - Array of semantic concepts to update
- * @param {string} reactionType - Type of reaction received
- * @param {number} weight - Numerical weight of the reaction
- * @returns {Promise<void>} Promise that resolves when concept stats are updated
- */
-async function updateConceptStats(concepts, reactionType, weight) {
-  try {
-    const isPositive = weight > 0;
-    const isNegative = weight < 0;
-    
-    for (const concept of concepts) {
-      const key = `concept_stats:${concept}`;
-      
-      const currentStats = await kv.get(key);
-      const stats = currentStats || {
-        positive: 0,
-        negative: 0,
-        total: 0,
-        reactionTypes: {},
-        lastUpdated: new Date().toISOString()
-      };
-      
-      if (isPositive) stats.positive += 1;
-      if (isNegative) stats.negative += 1;
-      stats.total += 1;
-      stats.reactionTypes[reactionType] = (stats.reactionTypes[reactionType] || 0) + 1;
-      stats.lastUpdated = new Date().toISOString();
-      
-      await kv.set(key, stats, {
-        ex: 86400 * 90
-      });
+    const queued = await enqueueReaction({
+      comicId,
+      type,
+      weight,
+      tokens: Array.isArray(comicTokens) ? comicTokens : [],
+      concepts: Array.isArray(semanticConcepts) ? semanticConcepts : [],
+      direction,
+      reactedAt
+    });
+    if (queued) {
+      log('Queued reaction for token stats:', { comicId, type, direction });
     }
-    
   } catch (error) {
-    console.error('Error updating concept stats:', error);
+    log('Error queueing token stats (non-blocking):', error.message);
   }
 }
 
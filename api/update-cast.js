@@ -0,0 +1,55 @@
+import { updateCastMember } from '../lib/cast.js';
+import { APIError, handleError } from '../lib/errors.js';
+
+const log = (...args) => console.log('[UPDATE-CAST]', ...args);
+
+/**
+ * Edits a character's bible entry. The notes go into every script prompt, so the
+ * request must send CAST_EDIT_TOKEN in the `x-admin-token` header; without the
+ * variable, editing is turned off.
+ * @param {Object} req - The HTTP request object
+ * @param {Object} req.body - Request body
+ * @param {string} req.body.name - Character name or ID
+ * @param {string} [req.body.personality] - Personality notes used in script prompts
+ * @param {string[]} [req.body.catchphrases] - Catchphrases used in script prompts
+ * @param {string} [req.body.emoji] - Emoji shown for the character
+ * @param {number} [req.body.style] - Character style number (1-5)
+ * @param {Object} res - The HTTP response object
+ * @returns {Promise<void>} JSON response with the updated character
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    log('Method not allowed:', req.method);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const token = process.env.CAST_EDIT_TOKEN;
+    if (!token) {
+      throw new APIError('Cast editing is disabled', 403);
+    }
+    if (req.headers?.['x-admin-token'] !== token) {
+      throw new APIError('Admin token required', 401);
+    }
+
+    const { name, personality, catchphrases, emoji, style } = req.body || {};
+
+    if (!name) {
+      throw new APIError('Character name required', 400);
+    }
+
+    const { member, errors } = await updateCastMember(name, { personality, catchphrases, emoji, style });
+
+    if (errors.length > 0) {
+      throw new APIError(errors.join('; '), 400);
+    }
+    if (!member) {
+      throw new APIError('Character not found', 404);
+    }
+
+    return res.status(200).json({ success: true, character: member });
+
+  } catch (error) {
+    return handleError(res, error);
+  }
+}
@@ -0,0 +1,189 @@
+import { kv } from './redis.js';
+import { positiveShare } from './popularity.js';
+import { getTopConcepts } from './reaction-stats.js';
+
+const log = (...args) => console.log('[BANDIT]', ...args);
+
+// Redis layout:
+//   bandit:global           hash   {arm}:alpha, {arm}:beta (reward and its complement summed), {arm}:pulls
+//   bandit:user:{userId}    hash   the same for one user's comics and their own reactions
+//   bandit:comic:{comicId}  hash   arm and userId of a published comic, to credit its reactions
+//
+// Each comic is written with one guidance strategy, an arm of a multi-armed bandit.
+// Every reaction is a fractional trial: its positive share (👍 = 1 … 🙅 = 0) is
+// added to the arm's alpha and the rest to its beta. Thompson sampling draws from
+// each arm's Beta posterior and plays the highest draw, so arms that have done
+// well are played more while uncertain ones still get tried.
+//
+// A user's posterior is their own counts on top of the global ones, and the global
+// counts are scaled down to at most GLOBAL_PRIOR_STRENGTH reactions so a user's own
+// reactions soon outweigh everyone else's. Reactions from other readers only
+// update the global counts.
+const GLOBAL_KEY = 'bandit:global';
+const USER_TTL_SECONDS = 86400 * 180;
+const COMIC_TTL_SECONDS = 86400 * 90;
+const GLOBAL_PRIOR_STRENGTH = 10;
+const CONCEPT_ARMS = 3;
+
+// How strongly each strategy follows the readers' preferences: the generation
+// temperature, from 0 (follow them closely) to 1 (ignore most of them)
+export const BANDIT_STRATEGIES = {
+  exploit: { temperature: 0.15 },
+  balanced: { temperature: 0.5 },
+  explore: { temperature: 0.85 },
+  concept: { temperature: 0.3 } // Balanced towards preferences, and built around one well-liked concept
+};
+
+const CONCEPT_PREFIX = 'concept:';
+
+/**
+ * Picks the guidance strategy for a comic by Thompson sampling
+ * @param {Object} [options] - Choice options
+ * @param {string} [options.userId] - User the comic is for; omitted for pooled and daily comics
+ * @param {string[]} [options.avoidConcepts] - Concepts the request avoids, never offered as concept arms
+ * @param {boolean} [options.withConcepts=true] - Offer concept arms; off for directed comics and series episodes
+ * @returns {Promise<Object>} `{ arm, strategy, concept, temperature, scope, posterior, arms, chosenAt }`
+ */
+export async function chooseArm({ userId, avoidConcepts = [], withConcepts = true } = {}) {
+  const avoided = new Set(avoidConcepts.map(concept => String(concept).toLowerCase()));
+  const concepts = (withConcepts ? await getTopConcepts(CONCEPT_ARMS + avoided.size) : [])
+    .filter(({ concept }) => !avoided.has(concept.toLowerCase()))
+    .slice(0, CONCEPT_ARMS)
+    .map(({ concept }) => `${CONCEPT_PREFIX}${concept}`);
+  const arms = ['exploit', 'balanced', 'explore', ...concepts];
+
+  const [globalCounts, userCounts] = await Promise.all([
+    kv.hgetall(GLOBAL_KEY),
+    userId ? kv.hgetall(userKey(userId)) : null
+  ]);
+
+  const sampled = arms.map(arm => {
+    const { alpha, beta } = posteriorFor(arm, globalCounts, userId ? userCounts || {} : null);
+    return { arm, alpha: round(alpha), beta: round(beta), sample: round(sampleBeta(alpha, beta)) };
+  });
+  const chosen = sampled.reduce((best, arm) => arm.sample > best.sample ? arm : best);
+
+  const strategy = chosen.arm.startsWith(CONCEPT_PREFIX) ? 'concept' : chosen.arm;
+  const choice = {
+    arm: chosen.arm,
+    strategy,
+    ...(strategy === 'concept' && { concept: chosen.arm.slice(CONCEPT_PREFIX.length) }),
+    temperature: BANDIT_STRATEGIES[strategy].temperature,
+    scope: userId ? 'user' : 'global',
+    posterior: {
+      alpha: chosen.alpha,
+      beta: chosen.beta,
+      mean: round(chosen.alpha / (chosen.alpha + chosen.beta)),
+      sample: chosen.sample
+    },
+    arms: sampled,
+    chosenAt: new Date().toISOString()
+  };
+
+  log('🎰 Chose arm:', { userId: userId || null, arm: choice.arm, sample: chosen.sample, arms: arms.length });
+  return choice;
+}
+
+/**
+ * Counts a published comic as a pull of its arm and remembers who it was for
+ * @param {Object} comic - Saved comic with a `bandit` choice
+ * @param {string} [userId] - User the comic was published for
+ * @returns {Promise<void>}
+ */
+export async function recordArmPull(comic, userId) {
+  const arm = comic?.bandit?.arm;
+  if (!arm) return;
+
+  const key = `bandit:comic:${comic.id}`;
+  await kv.hset(key, { arm, ...(userId && { userId }) });
+  await kv.expire(key, COMIC_TTL_SECONDS);
+
+  await kv.hincrby(GLOBAL_KEY, `${arm}:pulls`, 1);
+  if (userId) {
+    await kv.hincrby(userKey(userId), `${arm}:pulls`, 1);
+    await kv.expire(userKey(userId), USER_TTL_SECONDS);
+  }
+}
+
+/**
+ * Credits a reaction (or takes a removed one back) to the arm its comic was written with
+ * @param {string} comicId - Comic ID
+ * @param {string} userId - User who reacted
+ * @param {string} type - Reaction type
+ * @param {number} [direction=1] - 1 for a new reaction, -1 for a removed one
+ * @returns {Promise<boolean>} False when the comic was not written by the bandit
+ */
+export async function recordArmReward(comicId, userId, type, direction = 1) {
+  const pull = await kv.hgetall(`bandit:comic:${comicId}`);
+  if (!pull?.arm) return false;
+
+  const reward = positiveShare(type);
+  const update = async (key) => {
+    await kv.hincrbyfloat(key, `${pull.arm}:alpha`, reward * direction);
+    await kv.hincrbyfloat(key, `${pull.arm}:beta`, (1 - reward) * direction);
+  };
+
+  await update(GLOBAL_KEY);
+  // Only the reader a comic was written for teaches their own posterior
+  if (pull.userId && pull.userId === userId) {
+    await update(userKey(userId));
+    await kv.expire(userKey(userId), USER_TTL_SECONDS);
+  }
+  return true;
+}
+
+// Beta(1, 1) prior, plus the global counts, scaled to GLOBAL_PRIOR_STRENGTH when a user's own
+// counts (possibly none yet) are added
+function posteriorFor(arm, globalCounts, userCounts) {
+  const read = (counts, field) => Math.max(0, Number(counts?.[`${arm}:${field}`]) || 0);
+  const globalAlpha = read(globalCounts, 'alpha');
+  const globalBeta = read(globalCounts, 'beta');
+
+  const scale = userCounts && globalAlpha + globalBeta > GLOBAL_PRIOR_STRENGTH
+    ? GLOBAL_PRIOR_STRENGTH / (globalAlpha + globalBeta)
+    : 1;
+
+  return {
+    alpha: 1 + globalAlpha * scale + read(userCounts, 'alpha'),
+    beta: 1 + globalBeta * scale + read(userCounts, 'beta')
+  };
+}
+
+function userKey(userId) {
+  return `bandit:user:${userId}`;
+}
+
+// Beta draw as the ratio of two gamma draws
+function sampleBeta(alpha, beta) {
+  const x = sampleGamma(alpha);
+  const y = sampleGamma(beta);
+  return x / (x + y);
+}
+
+// Marsaglia and Tsang; shapes are always at least 1 here
+function sampleGamma(shape) {
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x, v;
+    do {
+      x = sampleNormal();
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+    const u = Math.random();
+    if (u < 1 - 0.0331 * x ** 4 || Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) {
+      return d * v;
+    }
+  }
+}
+
+function sampleNormal() {
+  const u = 1 - Math.random();
+  const v = Math.random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
@@ -0,0 +1,252 @@
+import { kv } from './redis.js';
+import { looksLikePromptInjection } from '../src/comic-direction.js';
+import { CHARACTER_STYLE_COUNT } from '../src/comic-schema.js';
+
+const log = (...args) => console.log('[CAST]', ...args);
+
+// Redis layout:
+//   cast:roster              zset   character id -> appearance count
+//   cast:{id}                JSON   name, emoji, style, personality, catchphrases, recent comic IDs
+//   cast:{id}:reactions      hash   reaction type -> count, plus weighted `score`
+//   comic:{comicId}:cast     JSON   character ids appearing in a comic
+const ROSTER_KEY = 'cast:roster';
+const COMIC_CAST_TTL_SECONDS = 86400 * 30; // Same lifetime as the comic itself
+const MAX_COMIC_IDS = 100; // Recent appearances kept per character
+
+export const CAST_LIMITS = {
+  PERSONALITY_MAX_LENGTH: 300,
+  CATCHPHRASES_MAX: 5,
+  CATCHPHRASE_MAX_LENGTH: 80
+};
+
+/**
+ * Stable registry ID for a character name ("Dr. Priya" -> "dr-priya")
+ * @param {string} name - Character name
+ * @returns {string} Character ID
+ */
+export function castId(name) {
+  return String(name || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Loads one character with reaction totals
+ * @param {string} nameOrId - Character name or ID
+ * @returns {Promise<Object|null>} Character or null if unknown
+ */
+export async function getCastMember(nameOrId) {
+  const id = castId(nameOrId);
+  if (!id) return null;
+
+  const [member, reactions] = await Promise.all([
+    kv.get(`cast:${id}`),
+    kv.hgetall(`cast:${id}:reactions`)
+  ]);
+  return member ? withReactions(member, reactions) : null;
+}
+
+/**
+ * Loads registry entries for the given character names
+ * @param {string[]} names - Character names as they appear in a comic
+ * @returns {Promise<Map<string, Object>>} Name -> character, for known characters only
+ */
+export async function getCastMembers(names) {
+  const unique = [...new Set(names.filter(Boolean))];
+  if (unique.length === 0) return new Map();
+
+  const members = await kv.mget(unique.map(name => `cast:${castId(name)}`));
+  const found = new Map();
+  unique.forEach((name, index) => {
+    if (members[index]) found.set(name, members[index]);
+  });
+  return found;
+}
+
+/**
+ * Lists characters, most frequent first
+ * @param {Object} [options] - Listing options
+ * @param {number} [options.limit=20] - Maximum characters to return
+ * @returns {Promise<Object[]>} Characters with appearance counts and reactions
+ */
+export async function getCastRoster({ limit = 20 } = {}) {
+  const ids = await kv.zrange(ROSTER_KEY, 0, limit - 1, { rev: true });
+  if (!ids || ids.length === 0) return [];
+
+  const [members, reactions] = await Promise.all([
+    kv.mget(ids.map(id => `cast:${id}`)),
+    Promise.all(ids.map(id => kv.hgetall(`cast:${id}:reactions`)))
+  ]);
+
+  return members
+    .map((member, index) => member && withReactions(member, reactions[index]))
+    .filter(Boolean);
+}
+
+/**
+ * Picks recurring characters to offer the script writer: frequent characters
+ * readers reacted well to, with a little shuffling so the same pair does not
+ * headline every comic.
+ * @param {number} [count=4] - Characters to pick
+ * @returns {Promise<Object[]>} Characters for the script prompt
+ */
+export async function selectRecurringCast(count = 4) {
+  const roster = await getCastRoster({ limit: count * 3 });
+  return roster
+    .map(member => ({ member, rank: member.reactionScore + member.appearances * 0.5 + Math.random() * 2 }))
+    .sort((a, b) => b.rank - a.rank)
+    .slice(0, count)
+    .map(({ member }) => member);
+}
+
+/**
+ * Records the characters of a saved comic: new characters join the registry with
+ * the emoji and style they debuted with, known characters gain an appearance.
+ * @param {Object} comic - Saved comic
+ * @returns {Promise<string[]>} IDs of the characters in the comic
+ */
+export async function recordComicCast(comic) {
+  const characters = new Map();
+  comic.panels.forEach(panel => {
+    panel.characters.forEach(character => {
+      const id = castId(character.name);
+      if (id && !characters.has(id)) characters.set(id, character);
+    });
+  });
+
+  const now = new Date().toISOString();
+  for (const [id, character] of characters) {
+    const existing = await kv.get(`cast:${id}`);
+    const member = existing || {
+      id,
+      name: character.name,
+      emoji: character.emoji,
+      style: character.style,
+      personality: '',
+      catchphrases: [],
+      comicIds: [],
+      appearances: 0,
+      firstComicId: comic.id,
+      createdAt: now
+    };
+
+    member.comicIds = [comic.id, ...member.comicIds.filter(comicId => comicId !== comic.id)].slice(0, MAX_COMIC_IDS);
+    member.appearances = (member.appearances || 0) + 1;
+    member.lastComicId = comic.id;
+    member.updatedAt = now;
+
+    await kv.set(`cast:${id}`, member);
+    await kv.zadd(ROSTER_KEY, member.appearances, id);
+    log(existing ? '🔁 Returning character:' : '🆕 New character:', member.name, { id, appearances: member.appearances });
+  }
+
+  const ids = [...characters.keys()];
+  await kv.set(`comic:${comic.id}:cast`, ids, { ex: COMIC_CAST_TTL_SECONDS });
+  return ids;
+}
+
+/**
+ * Credits a reaction on a comic to every character in it
+ * @param {string} comicId - Comic that received the reaction
+ * @param {string} reactionType - Reaction type
+ * @param {number} [weight=0] - Reaction weight
+ * @param {number} [direction=1] - 1 to add the reaction, -1 to remove it
+ * @returns {Promise<void>}
+ */
+export async function recordCastReaction(comicId, reactionType, weight = 0, direction = 1) {
+  const ids = await kv.get(`comic:${comicId}:cast`);
+  if (!Array.isArray(ids) || ids.length === 0) return;
+
+  for (const id of ids) {
+    await kv.hincrby(`cast:${id}:reactions`, reactionType, direction);
+    await kv.hincrby(`cast:${id}:reactions`, 'total', direction);
+    if (weight) {
+      await kv.hincrbyfloat(`cast:${id}:reactions`, 'score', weight * direction);
+    }
+  }
+}
+
+/**
+ * Updates a character's bible entry. Personality and catchphrases end up in
+ * script prompts, so they are length limited and screened like user direction.
+ * @param {string} nameOrId - Character name or ID
+ * @param {Object} changes - Fields to change
+ * @param {string} [changes.personality] - Personality notes
+ * @param {string[]} [changes.catchphrases] - Catchphrases
+ * @param {string} [changes.emoji] - Emoji
+ * @param {number} [changes.style] - Style number (1-5)
+ * @returns {Promise<{member: Object|null, errors: string[]}>} Updated character, or validation errors
+ */
+export async function updateCastMember(nameOrId, changes = {}) {
+  const id = castId(nameOrId);
+  const existing = id ? await kv.get(`cast:${id}`) : null;
+  if (!existing) {
+    return { member: null, errors: [] };
+  }
+
+  const errors = [];
+  const member = { ...existing };
+
+  if (changes.personality !== undefined) {
+    member.personality = String(changes.personality).replace(/\s+/g, ' ').trim();
+    if (member.personality.length > CAST_LIMITS.PERSONALITY_MAX_LENGTH) {
+      errors.push(`Personality must be at most ${CAST_LIMITS.PERSONALITY_MAX_LENGTH} characters`);
+    }
+  }
+
+  if (changes.catchphrases !== undefined) {
+    const list = Array.isArray(changes.catchphrases) ? changes.catchphrases : [changes.catchphrases];
+    member.catchphrases = list.map(phrase => String(phrase).replace(/\s+/g, ' ').trim()).filter(Boolean);
+    if (member.catchphrases.length > CAST_LIMITS.CATCHPHRASES_MAX) {
+      errors.push(`At most ${CAST_LIMITS.CATCHPHRASES_MAX} catchphrases are allowed`);
+    }
+    if (member.catchphrases.some(phrase => phrase.length > CAST_LIMITS.CATCHPHRASE_MAX_LENGTH)) {
+      errors.push(`Catchphrases must be at most ${CAST_LIMITS.CATCHPHRASE_MAX_LENGTH} characters each`);
+    }
+  }
+
+  if (changes.emoji !== undefined) {
+    member.emoji = String(changes.emoji).trim();
+    if (!/^\p{Extended_Pictographic}/u.test(member.emoji) || member.emoji.length > 16) {
+      errors.push('Emoji must be a single emoji');
+    }
+  }
+
+  if (changes.style !== undefined) {
+    member.style = Number(changes.style);
+    if (!Number.isInteger(member.style) || member.style < 1 || member.style > CHARACTER_STYLE_COUNT) {
+      errors.push(`Style must be a whole number from 1 to ${CHARACTER_STYLE_COUNT}`);
+    }
+  }
+
+  if ([member.personality, ...member.catchphrases].some(text => text && looksLikePromptInjection(text))) {
+    errors.push('Character notes look like instructions to the AI; describe the character instead');
+  }
+
+  if (errors.length > 0) {
+    return { member: null, errors };
+  }
+
+  member.updatedAt = new Date().toISOString();
+  await kv.set(`cast:${id}`, member);
+  log('✏️ Character updated:', member.name);
+
+  const reactions = await kv.hgetall(`cast:${id}:reactions`);
+  return { member: withReactions(member, reactions), errors };
+}
+
+function withReactions(member, reactions) {
+  const counts = {};
+  Object.entries(reactions || {}).forEach(([type, value]) => {
+    if (type !== 'score' && type !== 'total') counts[type] = Number(value) || 0;
+  });
+  return {
+    ...member,
+    reactions: counts,
+    reactionTotal: Number(reactions?.total) || 0,
+    reactionScore: Number(reactions?.score) || 0
+  };
+}
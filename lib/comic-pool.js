@@ -0,0 +1,250 @@
+import { kv } from './redis.js';
+import { draftComic } from './comic-generator.js';
+import { createProvenance, runWithProvenance, saveProvenance } from './provenance.js';
+import { summarizeUsage, recordUsage } from './usage.js';
+
+const log = (...args) => console.log('[COMIC-POOL]', ...args);
+
+// Redis layout:
+//   comics:pool        zset   pooled comic id -> time it was written (ms)
+//   pool:comic:{id}    JSON   a finished, moderated comic nobody has seen yet
+//   pool:stats         hash   requests, hits, misses by reason (miss:ineligible, miss:mismatch, miss:empty), filled, failed, expired
+//
+// Pooled comics are written ahead of time with the readers' global guidance and one
+// of a few common generation settings. A request takes one when nothing it asks for
+// rules it out: direction, series, style references, other settings, or anything it avoids.
+const POOL_KEY = 'comics:pool';
+const STATS_KEY = 'pool:stats';
+const POOL_USER_ID = 'pool'; // Usage of pooled comics is charged here, not to the reader who gets one
+
+// Settings pooled comics are written with; fills keep roughly equal numbers of each
+export const POOL_PROFILES = [
+  { humorLevel: 8, panelCount: 3 },
+  { humorLevel: 8, panelCount: 4 },
+  { humorLevel: 5, panelCount: 3 }
+];
+const HUMOR_TOLERANCE = 2; // A request at humor 7 may get a pooled comic written at 5-9
+
+/**
+ * Pool settings from the environment:
+ *   COMIC_POOL_SIZE            - comics to keep ready (default 6, 0 turns the pool off)
+ *   COMIC_POOL_MAX_AGE_HOURS   - pooled comics older than this are thrown away (default 24)
+ *   COMIC_POOL_FILL_BATCH      - comics written per fill run (default 1)
+ * @returns {{size: number, maxAgeMs: number, fillBatch: number}} Settings
+ */
+export function getPoolSettings() {
+  const value = (name, fallback) => {
+    const number = Number.parseInt(process.env[name] ?? '', 10);
+    return Number.isInteger(number) && number >= 0 ? number : fallback;
+  };
+  return {
+    size: value('COMIC_POOL_SIZE', 6),
+    maxAgeMs: Math.max(1, value('COMIC_POOL_MAX_AGE_HOURS', 24)) * 3600 * 1000,
+    fillBatch: Math.max(1, value('COMIC_POOL_FILL_BATCH', 1))
+  };
+}
+
+/**
+ * Takes the pooled comic that best suits a generation request, if any does.
+ * The comic leaves the pool; the caller publishes it.
+ * @param {Object} request - Generation parameters, as passed to generateAndSaveComic
+ * @returns {Promise<Object|null>} Pooled comic, or null to generate live
+ */
+export async function claimPooledComic(request) {
+  const settings = getPoolSettings();
+  if (settings.size === 0) return null;
+
+  await kv.hincrby(STATS_KEY, 'requests', 1);
+
+  const reason = ineligibleReason(request);
+  if (reason) {
+    await recordMiss('ineligible');
+    log('⏭️ Request not served from pool:', reason);
+    return null;
+  }
+
+  const entries = await loadFreshEntries(settings);
+  if (entries.length === 0) {
+    await recordMiss('empty');
+    return null;
+  }
+
+  const ranked = entries
+    .map(entry => ({ ...entry, score: matchScore(entry.comic, request.tokenGuidance || {}) }))
+    .filter(entry => entry.score !== null)
+    .sort((a, b) => b.score - a.score || b.pooledAt - a.pooledAt);
+
+  if (ranked.length === 0) {
+    await recordMiss('mismatch');
+    return null;
+  }
+
+  // Removing the ID from the zset is the claim; a concurrent request that lost the race tries the next one
+  for (const entry of ranked) {
+    if (await kv.zrem(POOL_KEY, entry.comic.id)) {
+      await kv.del(`pool:comic:${entry.comic.id}`);
+      await kv.hincrby(STATS_KEY, 'hits', 1);
+      log('⚡ Served from pool:', { comicId: entry.comic.id, score: entry.score, ageMinutes: Math.round((Date.now() - entry.pooledAt) / 60000) });
+      return entry.comic;
+    }
+  }
+
+  await recordMiss('empty');
+  return null;
+}
+
+/**
+ * Writes comics until the pool reaches its target size, at most COMIC_POOL_FILL_BATCH per run
+ * @returns {Promise<{added: string[], failed: string[], expired: number}>} Comic IDs added, errors and stale comics removed
+ */
+export async function fillPool() {
+  const settings = getPoolSettings();
+  const expired = await removeStale(settings);
+  const result = { added: [], failed: [], expired };
+  if (settings.size === 0) return result;
+
+  const entries = await loadFreshEntries(settings);
+  const needed = Math.min(settings.fillBatch, settings.size - entries.length);
+  const counts = POOL_PROFILES.map(profile => entries.filter(({ comic }) => sameProfile(comic.generationSettings, profile)).length);
+
+  for (let index = 0; index < needed; index++) {
+    const slot = counts.indexOf(Math.min(...counts));
+    const profile = POOL_PROFILES[slot];
+    const requestId = `pool_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+    const provenance = createProvenance({ requestId, pool: true });
+
+    try {
+      log('🏭 Writing pooled comic:', { requestId, profile });
+      const { comic } = await runWithProvenance(provenance, () => draftComic({
+        requestId,
+        userId: null,
+        tokenGuidance: { ...profile }
+      }, () => {}));
+
+      const pooledAt = Date.now();
+      await kv.set(`pool:comic:${comic.id}`, { comic, pooledAt }, { ex: Math.ceil(settings.maxAgeMs / 1000) });
+      await kv.zadd(POOL_KEY, pooledAt, comic.id);
+      await kv.hincrby(STATS_KEY, 'filled', 1);
+      counts[slot]++;
+      result.added.push(comic.id);
+
+      try {
+        await saveProvenance(provenance, { comicId: comic.id });
+        await recordUsage(summarizeUsage(provenance.calls), { userId: POOL_USER_ID, comicId: comic.id });
+      } catch (accountingError) {
+        log('⚠️ Failed to record pooled comic provenance or usage (non-blocking):', accountingError.message);
+      }
+    } catch (error) {
+      log('❌ Failed to write pooled comic:', { requestId, step: error.step, error: error.message });
+      await kv.hincrby(STATS_KEY, 'failed', 1);
+      result.failed.push(error.message);
+      try {
+        await recordUsage(summarizeUsage(provenance.calls), { userId: POOL_USER_ID });
+      } catch (usageError) {
+        log('⚠️ Failed to record usage (non-blocking):', usageError.message);
+      }
+    }
+  }
+
+  log('🏭 Pool fill finished:', { size: entries.length + result.added.length, target: settings.size, ...result });
+  return result;
+}
+
+/**
+ * Pool size, age and hit rate for monitoring
+ * @returns {Promise<Object>} Status and counters
+ */
+export async function getPoolStatus() {
+  const settings = getPoolSettings();
+  const [entries, stats] = await Promise.all([
+    loadFreshEntries(settings),
+    kv.hgetall(STATS_KEY)
+  ]);
+
+  const counters = {};
+  Object.entries(stats || {}).forEach(([field, value]) => { counters[field] = Number(value) || 0; });
+  const misses = Object.entries(counters)
+    .filter(([field]) => field.startsWith('miss:'))
+    .reduce((total, [, count]) => total + count, 0);
+  const served = (counters.hits || 0) + misses;
+
+  return {
+    size: entries.length,
+    target: settings.size,
+    maxAgeHours: settings.maxAgeMs / 3600000,
+    byProfile: POOL_PROFILES.map(profile => ({
+      ...profile,
+      count: entries.filter(({ comic }) => sameProfile(comic.generationSettings, profile)).length
+    })),
+    oldestAgeMinutes: entries.length ? Math.round((Date.now() - Math.min(...entries.map(entry => entry.pooledAt))) / 60000) : null,
+    stats: {
+      ...counters,
+      misses,
+      hitRate: served ? Math.round((counters.hits || 0) / served * 1000) / 1000 : null
+    }
+  };
+}
+
+// Requests that ask for something specific always get a comic written for them
+function ineligibleReason({ direction, series, tokenGuidance = {} }) {
+  if (direction) return 'direction';
+  if (series) return 'series';
+  if (Array.isArray(tokenGuidance.styleRefs) && tokenGuidance.styleRefs.length > 0) return 'styleRefs';
+  return null;
+}
+
+// null when the comic does not fit the request; otherwise higher is better
+function matchScore(comic, guidance) {
+  const settings = comic.generationSettings || {};
+  const panelCount = [3, 4].includes(Number(guidance.panelCount)) ? Number(guidance.panelCount) : 3;
+  const humorLevel = Number.isFinite(Number(guidance.humorLevel ?? 8)) ? Number(guidance.humorLevel ?? 8) : 8;
+
+  if (settings.panelCount !== panelCount) return null;
+  const humorGap = Math.abs((settings.humorLevel ?? 8) - humorLevel);
+  if (humorGap > HUMOR_TOLERANCE) return null;
+
+  const tokens = new Set((comic.tokens || []).map(token => String(token).toLowerCase()));
+  const concepts = new Set((comic.concepts || []).map(concept => String(concept).toLowerCase()));
+  const hits = (list, set) => (list || []).filter(item => set.has(String(item).toLowerCase())).length;
+
+  if (hits(guidance.avoidTokens, tokens) > 0 || hits(guidance.avoidConcepts, concepts) > 0) return null;
+
+  return hits(guidance.encourageTokens, tokens) + hits(guidance.encourageConcepts, concepts) * 2 - humorGap * 0.5;
+}
+
+function sameProfile(settings = {}, profile) {
+  return settings.panelCount === profile.panelCount && settings.humorLevel === profile.humorLevel;
+}
+
+async function loadFreshEntries(settings) {
+  const ids = await kv.zrange(POOL_KEY, 0, -1);
+  if (!ids || ids.length === 0) return [];
+
+  const records = await kv.mget(ids.map(id => `pool:comic:${id}`));
+  const cutoff = Date.now() - settings.maxAgeMs;
+  return records.filter(record => record?.comic && record.pooledAt > cutoff);
+}
+
+// Drops pool entries that are too old or whose comic record already expired
+async function removeStale(settings) {
+  const ids = await kv.zrange(POOL_KEY, 0, -1);
+  if (!ids || ids.length === 0) return 0;
+
+  const records = await kv.mget(ids.map(id => `pool:comic:${id}`));
+  const cutoff = Date.now() - settings.maxAgeMs;
+  const stale = ids.filter((id, index) => !records[index] || records[index].pooledAt <= cutoff);
+
+  for (const id of stale) {
+    await kv.zrem(POOL_KEY, id);
+    await kv.del(`pool:comic:${id}`);
+  }
+  if (stale.length > 0) {
+    await kv.hincrby(STATS_KEY, 'expired', stale.length);
+    log('🗑️ Removed stale pooled comics:', stale);
+  }
+  return stale.length;
+}
+
+async function recordMiss(reason) {
+  await kv.hincrby(STATS_KEY, `miss:${reason}`, 1);
+}
@@ -0,0 +1,189 @@
+import { kv } from './redis.js';
+import { generateAndSaveComic, publishComic } from './comic-generator.js';
+import { claimPooledComic } from './comic-pool.js';
+import { createProvenance, runWithProvenance, saveProvenance } from './provenance.js';
+import { summarizeUsage, recordUsage } from './usage.js';
+
+const log = (...args) => console.log('[DAILY-COMIC]', ...args);
+
+// Redis layout:
+//   comics:daily     zset   date (YYYY-MM-DD, UTC) -> start of that day (ms)
+//   daily:{date}     JSON   the day's pick: comicId, source, reactions, pinnedAt and a copy of the comic
+//   daily:picked     hash   comic id -> date it was picked, so no comic is picked twice
+//
+// The archive never expires and keeps its own copy of each comic, so old days
+// still open after the comic itself has expired.
+const ARCHIVE_KEY = 'comics:daily';
+const PICKED_KEY = 'daily:picked';
+const DAILY_USER_ID = 'daily'; // Comics written for the daily pick are charged here
+const CANDIDATE_SCAN = 200; // Recent comics looked at when picking
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Whether a string is a real calendar date in YYYY-MM-DD form
+ * @param {string} date - Date to check
+ * @returns {boolean} True if valid
+ */
+export function isValidDate(date) {
+  if (typeof date !== 'string' || !DATE_PATTERN.test(date)) return false;
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === date;
+}
+
+/**
+ * Today's date in UTC, the day the daily pick changes
+ * @returns {string} YYYY-MM-DD
+ */
+export function todayDate() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Pins the comic of the day. The best-received comic from the previous day wins;
+ * when none qualifies, a pooled comic is taken, and failing that one is written.
+ * A day that already has a pick keeps it unless `force` is set.
+ *
+ * Settings from the environment:
+ *   DAILY_MIN_REACTIONS   - reactions a comic needs to be picked (default 1)
+ * @param {Object} [options] - Pin options
+ * @param {string} [options.date] - Day to pin (default today, UTC)
+ * @param {boolean} [options.force=false] - Replace an existing pick
+ * @returns {Promise<{daily: Object, created: boolean}>} The day's pick, and whether this call pinned it
+ */
+export async function pinDailyComic({ date = todayDate(), force = false } = {}) {
+  const existing = await kv.get(`daily:${date}`);
+  if (existing && !force) {
+    log('📌 Day already pinned:', { date, comicId: existing.comicId });
+    return { daily: existing, created: false };
+  }
+
+  const picked = await pickComic(date, existing?.comicId);
+  const { comic, source, reactions = null } = picked || await writeComic(date);
+
+  const daily = {
+    date,
+    comicId: comic.id,
+    title: comic.title,
+    source,
+    reactions,
+    pinnedAt: new Date().toISOString(),
+    comic
+  };
+
+  await kv.set(`daily:${date}`, daily);
+  await kv.zadd(ARCHIVE_KEY, Date.parse(`${date}T00:00:00Z`), date);
+  await kv.hset(PICKED_KEY, { [comic.id]: date });
+
+  log('📌 Pinned comic of the day:', { date, comicId: comic.id, source, replaced: existing?.comicId || null });
+  return { daily, created: true };
+}
+
+/**
+ * The pick for a day, or the latest pick when no date is given, with its neighbours in the archive
+ * @param {string} [date] - Day (YYYY-MM-DD)
+ * @returns {Promise<Object|null>} Pick with `previousDate` and `nextDate`, or null
+ */
+export async function getDailyComic(date) {
+  const dates = await kv.zrange(ARCHIVE_KEY, 0, -1) || [];
+  const day = date || dates[dates.length - 1];
+  if (!day) return null;
+
+  const daily = await kv.get(`daily:${day}`);
+  if (!daily) return null;
+
+  const index = dates.indexOf(day);
+  return {
+    ...daily,
+    previousDate: index > 0 ? dates[index - 1] : null,
+    nextDate: index !== -1 && index < dates.length - 1 ? dates[index + 1] : null
+  };
+}
+
+/**
+ * Archive of daily picks, newest first, without the comic copies
+ * @param {Object} [options] - List options
+ * @param {number} [options.limit=30] - Days to return
+ * @param {number} [options.offset=0] - Days to skip
+ * @returns {Promise<Object[]>} `{ date, comicId, title, source, pinnedAt }` per day
+ */
+export async function listDailyComics({ limit = 30, offset = 0 } = {}) {
+  const dates = await kv.zrange(ARCHIVE_KEY, offset, offset + limit - 1, { rev: true });
+  if (!dates || dates.length === 0) return [];
+
+  const records = await kv.mget(dates.map(date => `daily:${date}`));
+  return records
+    .filter(Boolean)
+    .map(({ date, comicId, title, source, pinnedAt }) => ({ date, comicId, title, source, pinnedAt }));
+}
+
+// Best-received comic created during the day before `date` that has not been picked before
+async function pickComic(date, replacedComicId) {
+  const dayStart = Date.parse(`${date}T00:00:00Z`);
+  const windowStart = dayStart - 86400000;
+  const minReactions = Math.max(0, Number.parseInt(process.env.DAILY_MIN_REACTIONS || '1', 10) || 0);
+
+  const ids = await kv.lrange('comics:recent', 0, CANDIDATE_SCAN - 1);
+  if (!ids || ids.length === 0) return null;
+
+  const comics = await kv.mget(ids.map(id => `comic:${id}`));
+  const candidates = [];
+  for (const comic of comics) {
+    if (!comic || comic.id === replacedComicId || comic.moderation?.status === 'flagged') continue;
+    const createdAt = Date.parse(comic.createdAt || comic.timestamp);
+    if (!(createdAt >= windowStart && createdAt < dayStart)) continue;
+    if (await kv.hget(PICKED_KEY, comic.id)) continue;
+
+    const stats = await kv.hgetall(`comic:${comic.id}:stats`) || {};
+    const reactions = { total: Number(stats.total) || 0, score: Number(stats.score) || 0 };
+    if (reactions.total < minReactions) continue;
+    candidates.push({ comic, reactions });
+  }
+
+  if (candidates.length === 0) {
+    log('🔍 No comic from the previous day qualifies:', { date, scanned: ids.length, minReactions });
+    return null;
+  }
+
+  candidates.sort((a, b) => b.reactions.score - a.reactions.score || b.reactions.total - a.reactions.total);
+  return { ...candidates[0], source: 'picked' };
+}
+
+// A pooled comic if one is ready, otherwise a freshly written one
+async function writeComic(date) {
+  try {
+    const pooled = await claimPooledComic({ tokenGuidance: {} });
+    if (pooled) {
+      const comic = await publishComic(pooled, { userId: DAILY_USER_ID });
+      return { comic, source: 'pool' };
+    }
+  } catch (error) {
+    log('⚠️ Pool unavailable for the daily pick (writing one instead):', error.message);
+  }
+
+  const requestId = `daily_${date}_${Math.random().toString(36).substr(2, 6)}`;
+  const provenance = createProvenance({ requestId, daily: date });
+  log('✍️ Writing comic of the day:', { date, requestId });
+
+  try {
+    const comic = await runWithProvenance(provenance, () => generateAndSaveComic({
+      requestId,
+      userId: DAILY_USER_ID,
+      tokenGuidance: {}
+    }, () => {}));
+
+    try {
+      await saveProvenance(provenance, { comicId: comic.id });
+      await recordUsage(summarizeUsage(provenance.calls), { userId: DAILY_USER_ID, comicId: comic.id });
+    } catch (accountingError) {
+      log('⚠️ Failed to record daily comic provenance or usage (non-blocking):', accountingError.message);
+    }
+    return { comic, source: 'generated' };
+  } catch (error) {
+    try {
+      await recordUsage(summarizeUsage(provenance.calls), { userId: DAILY_USER_ID });
+    } catch (usageError) {
+      log('⚠️ Failed to record usage (non-blocking):', usageError.message);
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,293 @@
+import { kv } from './redis.js';
+import { embedStep } from './llm.js';
+import { createProvenance, runWithProvenance, hasActiveProvenance } from './provenance.js';
+import { summarizeUsage, recordUsage } from './usage.js';
+
+const log = (...args) => console.log('[EMBEDDINGS]', ...args);
+
+// Redis layout:
+//   embedding:{comicId}   JSON   the comic's vectors: `hashed` (sparse term counts) and `model` ({ name, vector } or null)
+//   embeddings:index      zset   comic id -> when it was written (ms), the newest MAX_INDEXED
+//
+// Every comic gets a local vector: its script's words and word pairs hashed into
+// HASHED_DIMENSIONS buckets. Those are weighted by TF-IDF at comparison time, with
+// document frequencies taken from the comics being compared, so nothing has to be
+// kept up to date as comics come and go. When an embedding model is configured, its
+// vector is stored too and used whenever both comics have one from the same model.
+// Model calls go through embedStep, so they get the pipeline's timeout, retries,
+// circuit breaker, provenance and usage accounting. A failing model never fails
+// generation; that comic just has the local vector.
+const INDEX_KEY = 'embeddings:index';
+const MAX_INDEXED = 1000;
+const EMBEDDING_TTL_SECONDS = 86400 * 30; // Same as the comic
+const HASHED_DIMENSIONS = 1024;
+const DUPLICATE_SCAN = 200; // Recent comics a new comic is checked against
+const SIMILAR_SCAN = 500; // Comics searched for a "similar comics" list
+const MIN_SIMILARITY = 0.2; // Weaker matches are not listed as similar
+const CACHE_SIZE = 50;
+
+const STOPWORDS = new Set(('the and for are but not you your with this that have has had was were will would ' +
+  'can could just what when where who why how all any our out its it\'s i\'m don\'t they them then than ' +
+  'there their from into about been being some very too yes okay well like get got one').split(' '));
+
+const PROVIDERS = ['openai', 'openai-compatible', 'fixture', 'hashing']; // hashing: local vectors only
+
+const vectorCache = new Map(); // Script text -> vectors, so a drafted comic is not embedded twice when it is published
+
+/**
+ * Embedder settings from the environment:
+ *   EMBEDDINGS_PROVIDER               - openai, openai-compatible, fixture or hashing (default openai with OPENAI_API_KEY, else hashing;
+ *                                       an unknown one falls back to hashing so generation keeps running)
+ *   EMBEDDINGS_MODEL                  - model name (default text-embedding-3-small, or nomic-embed-text when compatible)
+ *   EMBEDDINGS_DIMENSIONS             - vector size requested from OpenAI (default 256)
+ *   LLM_EMBEDDING_TIMEOUT_MS          - timeout per embedding call, read by embedStep (default 15000)
+ *   SIMILARITY_DUPLICATE_THRESHOLD    - similarity at which a new comic counts as a repeat (default 0.9)
+ *   SIMILARITY_MAX_RETRIES            - drafts rewritten for being a repeat before it is saved flagged (default 1)
+ * @returns {Object} Settings
+ */
+export function getEmbeddingSettings() {
+  const env = process.env;
+  let provider = env.EMBEDDINGS_PROVIDER || (env.OPENAI_API_KEY ? 'openai' : 'hashing');
+  if (!PROVIDERS.includes(provider)) {
+    log('⚠️ Unknown embeddings provider, using local vectors only:', provider);
+    provider = 'hashing';
+  }
+
+  const threshold = Number.parseFloat(env.SIMILARITY_DUPLICATE_THRESHOLD ?? '');
+  const retries = Number.parseInt(env.SIMILARITY_MAX_RETRIES ?? '', 10);
+  const dimensions = Number.parseInt(env.EMBEDDINGS_DIMENSIONS ?? '', 10);
+  return {
+    provider,
+    model: env.EMBEDDINGS_MODEL || { 'openai-compatible': 'nomic-embed-text', fixture: 'fixture' }[provider] || 'text-embedding-3-small',
+    dimensions: Number.isInteger(dimensions) && dimensions > 0 ? dimensions : 256,
+    duplicateThreshold: threshold > 0 && threshold <= 1 ? threshold : 0.9,
+    maxRetries: Number.isInteger(retries) && retries >= 0 ? retries : 1
+  };
+}
+
+/**
+ * Vectors for a comic's script: always the local hashed vector, plus the model's when one is configured
+ * @param {Object} comic - Comic with title and panels
+ * @returns {Promise<{hashed: Object, model: Object|null}>} Vectors
+ */
+export async function embedComic(comic) {
+  const text = scriptText(comic);
+  if (vectorCache.has(text)) return vectorCache.get(text);
+
+  const vectors = { hashed: hashedVector(text), model: null };
+  const settings = getEmbeddingSettings();
+  if (settings.provider !== 'hashing') {
+    try {
+      const vector = await embedText(text, settings);
+      vectors.model = { name: `${settings.provider}:${settings.model}`, vector: vector.map(value => Math.round(value * 10000) / 10000) };
+    } catch (error) {
+      log('⚠️ Embedding model failed, using the local vector only (non-blocking):', error.message);
+    }
+  }
+
+  vectorCache.set(text, vectors);
+  if (vectorCache.size > CACHE_SIZE) {
+    vectorCache.delete(vectorCache.keys().next().value);
+  }
+  return vectors;
+}
+
+/**
+ * Stores a saved comic's vectors and adds it to the similarity index
+ * @param {Object} comic - Saved comic
+ * @returns {Promise<Object>} The stored vectors
+ */
+export async function indexComic(comic) {
+  const vectors = await embedComic(comic);
+  const writtenAt = Date.parse(comic.createdAt || comic.timestamp) || Date.now();
+
+  await kv.set(`embedding:${comic.id}`, { comicId: comic.id, ...vectors }, { ex: EMBEDDING_TTL_SECONDS });
+  await kv.zadd(INDEX_KEY, writtenAt, comic.id);
+  await kv.zremrangebyrank(INDEX_KEY, 0, -(MAX_INDEXED + 1));
+  return vectors;
+}
+
+/**
+ * How close a drafted comic is to the most similar recent comic. Episodes of the
+ * same series are expected to be alike and are not compared.
+ * @param {Object} comic - Drafted comic
+ * @returns {Promise<{nearestId: string, nearestTitle: string|null, score: number, duplicate: boolean}|null>} Nearest comic, or null when there is nothing to compare with
+ */
+export async function checkNearDuplicate(comic) {
+  const vectors = await embedComic(comic);
+  const [nearest] = await rankByVectors(vectors, {
+    scan: DUPLICATE_SCAN,
+    limit: 1,
+    excludeIds: [comic.id],
+    excludeSeriesId: comic.series?.id
+  });
+  if (!nearest) return null;
+
+  const { duplicateThreshold } = getEmbeddingSettings();
+  const nearestComic = await kv.get(`comic:${nearest.comicId}`);
+  return {
+    nearestId: nearest.comicId,
+    nearestTitle: nearestComic?.title || null,
+    score: nearest.score,
+    duplicate: nearest.score >= duplicateThreshold
+  };
+}
+
+/**
+ * Comics most similar to one comic
+ * @param {string} comicId - Comic ID
+ * @param {Object} [options] - List options
+ * @param {number} [options.limit=5] - Comics to return
+ * @returns {Promise<{comics: Object[], similar: Object[]}|null>} Comics and `{ comicId, score }` for each, or null if the comic does not exist
+ */
+export async function getSimilarComics(comicId, { limit = 5 } = {}) {
+  let vectors = await kv.get(`embedding:${comicId}`);
+  if (!vectors) {
+    // Comics written before embeddings existed are indexed the first time they are asked about
+    const comic = await kv.get(`comic:${comicId}`);
+    if (!comic) return null;
+    try {
+      vectors = await indexComic(comic);
+    } catch (error) {
+      log('⚠️ Failed to index comic, comparing without storing it (non-blocking):', { comicId, error: error.message });
+      vectors = await embedComic(comic);
+    }
+  }
+
+  const ranked = await rankByVectors(vectors, { scan: SIMILAR_SCAN, limit: limit * 2, excludeIds: [comicId] });
+  const candidates = ranked.filter(({ score }) => score >= MIN_SIMILARITY);
+  if (candidates.length === 0) return { comics: [], similar: [] };
+
+  const comics = await kv.mget(candidates.map(({ comicId: id }) => `comic:${id}`));
+  const found = candidates
+    .map((entry, index) => ({ entry, comic: comics[index] }))
+    .filter(({ comic }) => comic && comic.moderation?.status !== 'flagged' && !comic.similarity?.duplicate)
+    .slice(0, limit);
+
+  return {
+    comics: found.map(({ comic }) => comic),
+    similar: found.map(({ entry }) => entry)
+  };
+}
+
+// Indexed comics ranked by similarity to a set of vectors
+async function rankByVectors(vectors, { scan, limit, excludeIds = [], excludeSeriesId = null }) {
+  const ids = (await kv.zrange(INDEX_KEY, 0, scan - 1, { rev: true }) || [])
+    .filter(id => !excludeIds.includes(id));
+  if (ids.length === 0) return [];
+
+  const records = await kv.mget(ids.map(id => `embedding:${id}`));
+  let indexed = ids.map((id, index) => ({ id, record: records[index] })).filter(({ record }) => record?.hashed);
+
+  if (excludeSeriesId) {
+    const comics = await kv.mget(indexed.map(({ id }) => `comic:${id}`));
+    indexed = indexed.filter((entry, index) => comics[index]?.series?.id !== excludeSeriesId);
+  }
+  if (indexed.length === 0) return [];
+
+  const idf = inverseDocumentFrequencies([vectors.hashed, ...indexed.map(({ record }) => record.hashed)]);
+  const query = weighted(vectors.hashed, idf);
+
+  return indexed
+    .map(({ id, record }) => {
+      const sameModel = vectors.model && record.model && vectors.model.name === record.model.name;
+      const score = sameModel
+        ? cosine(vectors.model.vector, record.model.vector)
+        : sparseCosine(query, weighted(record.hashed, idf));
+      return { comicId: id, score: Math.round(score * 10000) / 10000 };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+// What a comic says: title, panel headers and dialogue, without speaker names
+function scriptText(comic) {
+  const parts = [comic.title || ''];
+  (comic.panels || []).forEach(panel => {
+    if (panel.header) parts.push(panel.header);
+    (panel.dialogue || []).forEach(line => parts.push(line.text || ''));
+  });
+  return parts.join('\n');
+}
+
+// Words and word pairs hashed into buckets, with a hashed sign so collisions tend to cancel out
+function hashedVector(text) {
+  const words = text.toLowerCase().match(/[\p{L}\p{N}']+/gu)?.filter(word => word.length > 2 && !STOPWORDS.has(word)) || [];
+  const terms = [...words, ...words.slice(1).map((word, index) => `${words[index]} ${word}`)];
+
+  const vector = {};
+  terms.forEach(term => {
+    const hash = fnv1a(term);
+    const bucket = hash % HASHED_DIMENSIONS;
+    vector[bucket] = (vector[bucket] || 0) + ((hash >>> 31) ? -1 : 1);
+  });
+  return vector;
+}
+
+function inverseDocumentFrequencies(vectors) {
+  const counts = {};
+  vectors.forEach(vector => Object.keys(vector).forEach(bucket => { counts[bucket] = (counts[bucket] || 0) + 1; }));
+  const idf = {};
+  Object.entries(counts).forEach(([bucket, count]) => { idf[bucket] = Math.log((1 + vectors.length) / (1 + count)) + 1; });
+  return idf;
+}
+
+// Sublinear term frequency times inverse document frequency
+function weighted(vector, idf) {
+  const result = {};
+  Object.entries(vector).forEach(([bucket, count]) => {
+    if (count === 0) return;
+    result[bucket] = Math.sign(count) * (1 + Math.log(Math.abs(count))) * (idf[bucket] || 1);
+  });
+  return result;
+}
+
+function sparseCosine(a, b) {
+  let dot = 0;
+  Object.entries(a).forEach(([bucket, value]) => { dot += value * (b[bucket] || 0); });
+  const norm = vector => Math.sqrt(Object.values(vector).reduce((total, value) => total + value * value, 0));
+  const denominator = norm(a) * norm(b);
+  return denominator > 0 ? dot / denominator : 0;
+}
+
+function cosine(a, b) {
+  if (a.length !== b.length) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let index = 0; index < a.length; index++) {
+    dot += a[index] * b[index];
+    normA += a[index] * a[index];
+    normB += b[index] * b[index];
+  }
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < text.length; index++) {
+    hash ^= text.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// A model call made outside a generation (a pooled comic being published, a comic
+// indexed on request) has no provenance record to land in, so it is accounted on its own
+async function embedText(text, settings) {
+  const request = { provider: settings.provider, model: settings.model, dimensions: settings.dimensions, input: text };
+  if (hasActiveProvenance()) {
+    return (await embedStep(request)).vector;
+  }
+
+  const provenance = createProvenance({ purpose: 'embedding' });
+  try {
+    return (await runWithProvenance(provenance, () => embedStep(request))).vector;
+  } finally {
+    try {
+      await recordUsage(summarizeUsage(provenance.calls));
+    } catch (error) {
+      log('⚠️ Failed to record embedding usage (non-blocking):', error.message);
+    }
+  }
+}
@@ -0,0 +1,136 @@
+import { kv } from './redis.js';
+
+const log = (...args) => console.log('[JOBS]', ...args);
+
+const JOB_TTL_SECONDS = 86400; // Keep job records for a day
+// Must match maxDuration for api/generate-comic.js in vercel.json
+export const GENERATION_MAX_DURATION_MS = 300 * 1000;
+// A job still running at this age is failed while the function can still record it
+export const JOB_DEADLINE_MS = GENERATION_MAX_DURATION_MS - 30 * 1000;
+// A job still queued or running at this age lost its function
+const JOB_STALE_MS = GENERATION_MAX_DURATION_MS + 30 * 1000;
+const SCRIPT_FLUSH_MS = 1500; // Minimum interval between partial script writes
+
+/**
+ * Creates a queued generation job
+ * @param {Object} params - Job metadata
+ * @param {string} [params.userId] - User who requested the comic
+ * @param {string} [params.requestId] - Request that created the job
+ * @returns {Promise<Object>} The stored job record
+ */
+export async function createJob({ userId, requestId } = {}) {
+  const now = new Date().toISOString();
+  const job = {
+    id: `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    status: 'queued',
+    userId: userId || 'anonymous',
+    requestId: requestId || null,
+    steps: [],
+    script: '',
+    comicId: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await kv.set(`job:${job.id}`, job, { ex: JOB_TTL_SECONDS });
+  log('🆕 Job created:', job.id);
+  return job;
+}
+
+/**
+ * Loads a job record
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object|null>} Job record or null if unknown/expired
+ */
+export async function getJob(jobId) {
+  return await kv.get(`job:${jobId}`);
+}
+
+/**
+ * Merges changes into a job record
+ * @param {string} jobId - Job ID
+ * @param {Object|Function} patch - Fields to merge, or a function returning them from the current job
+ * @returns {Promise<Object|null>} Updated job record
+ */
+export async function updateJob(jobId, patch) {
+  const job = await getJob(jobId);
+  if (!job) {
+    log('⚠️ Tried to update missing job:', jobId);
+    return null;
+  }
+
+  const changes = typeof patch === 'function' ? patch(job) : patch;
+  const updated = { ...job, ...changes, updatedAt: new Date().toISOString() };
+  await kv.set(`job:${jobId}`, updated, { ex: JOB_TTL_SECONDS });
+  return updated;
+}
+
+/**
+ * Builds an event sink that records pipeline progress on a job.
+ * Step events are written immediately; partial script text is batched.
+ * @param {string} jobId - Job ID
+ * @returns {{emit: Function, flush: Function}} Event sink
+ */
+export function createJobReporter(jobId) {
+  let script = '';
+  let lastFlush = 0;
+  let pending = Promise.resolve();
+
+  // Serialize writes so step updates never overtake each other
+  const enqueue = (patch) => {
+    pending = pending
+      .then(() => updateJob(jobId, patch))
+      .catch(error => log('⚠️ Failed to record job progress:', jobId, error.message));
+    return pending;
+  };
+
+  return {
+    emit(event, data = {}) {
+      if (event === 'script') {
+        script += data.delta || '';
+        if (Date.now() - lastFlush >= SCRIPT_FLUSH_MS) {
+          lastFlush = Date.now();
+          const partial = script;
+          enqueue({ script: partial });
+        }
+        return;
+      }
+
+      if (event === 'progress') {
+        if (data.step === 'script' && data.status === 'retrying') {
+          script = '';
+        }
+        const partial = script;
+        enqueue(job => ({
+          script: partial,
+          steps: [...job.steps.filter(s => s.step !== data.step), data]
+        }));
+      }
+    },
+    flush() {
+      return pending;
+    }
+  };
+}
+
+/**
+ * Public view of a job, marking abandoned jobs as failed
+ * @param {Object} job - Stored job record
+ * @returns {Object} Job status for API responses
+ */
+export function describeJob(job) {
+  const stale = ['queued', 'running'].includes(job.status) &&
+    Date.now() - new Date(job.createdAt).getTime() > JOB_STALE_MS;
+
+  return {
+    id: job.id,
+    status: stale ? 'failed' : job.status,
+    steps: job.steps || [],
+    script: job.script || '',
+    comicId: job.comicId,
+    error: stale ? 'Generation stopped responding' : job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+  };
+}
@@ -0,0 +1,85 @@
+// Deterministic outputs for the fixture LLM provider (LLM_PROVIDER=fixture).
+// The script, analysis and formatted JSON describe the same comic so the
+// full pipeline can run end to end in CI or offline.
+
+const FIXTURE_SCRIPT = [
+  'Title: Tests Of The Heart',
+  '',
+  'Monday morning, the office kitchen',
+  'Characters: Priya (🧑‍💻), Dev (🤖)',
+  'Priya: "Did you run the tests before merging?"',
+  'Dev: "I ran them in my heart."',
+  '',
+  'Monday noon, the standup room',
+  'Characters: Priya (🧑‍💻), Dev (🤖)',
+  'Priya: "Production is on fire."',
+  'Dev thinks: "My heart was not a supported environment."',
+  '',
+  'Monday evening, the office kitchen',
+  'Characters: Dev (🤖)',
+  'Dev: "New rule: the kettle gets a code review too."'
+].join('\n');
+
+const FIXTURE_ANALYSIS = [
+  'First scene:',
+  '- Characters: Priya (🧑‍💻), Dev (🤖)',
+  '- Dialogue assignments: Priya asks about tests; Dev answers',
+  '- Types: speech, speech',
+  '',
+  'Next scene:',
+  '- Characters: Priya (🧑‍💻), Dev (🤖)',
+  '- Dialogue assignments: Priya reports the outage; Dev reflects',
+  '- Types: speech, thought',
+  '',
+  'Next scene:',
+  '- Characters: Dev (🤖)',
+  '- Dialogue assignments: Dev announces a new rule',
+  '- Types: speech'
+].join('\n');
+
+const FIXTURE_COMIC = {
+  title: 'Tests Of The Heart',
+  panels: [
+    {
+      header: 'Monday morning, the office kitchen',
+      characters: [
+        { name: 'Priya', emoji: '🧑‍💻', style: 1, effect: null },
+        { name: 'Dev', emoji: '🤖', style: 2, effect: null }
+      ],
+      dialogue: [
+        { text: 'Did you run the tests before merging?', speaker: 'Priya', type: 'speech', style: 'normal' },
+        { text: 'I ran them in my heart.', speaker: 'Dev', type: 'speech', style: 'normal' }
+      ]
+    },
+    {
+      header: 'Monday noon, the standup room',
+      characters: [
+        { name: 'Priya', emoji: '🧑‍💻', style: 1, effect: 'shake' },
+        { name: 'Dev', emoji: '🤖', style: 2, effect: null }
+      ],
+      dialogue: [
+        { text: 'Production is on fire.', speaker: 'Priya', type: 'speech', style: 'angry' },
+        { text: 'My heart was not a supported environment.', speaker: 'Dev', type: 'thought', style: 'normal' }
+      ]
+    },
+    {
+      header: 'Monday evening, the office kitchen',
+      characters: [
+        { name: 'Dev', emoji: '🤖', style: 2, effect: 'bounce' }
+      ],
+      dialogue: [
+        { text: 'New rule: the kettle gets a code review too.', speaker: 'Dev', type: 'speech', style: 'excited' }
+      ]
+    }
+  ]
+};
+
+export const FIXTURE_OUTPUTS = {
+  script: FIXTURE_SCRIPT,
+  analysis: FIXTURE_ANALYSIS,
+  format: JSON.stringify(FIXTURE_COMIC),
+  formatFallback: JSON.stringify(FIXTURE_COMIC),
+  moderation: JSON.stringify({ sexual: 0, hate: 0, harassment: 0, violence: 0.05, self_harm: 0, profanity: 0 }),
+  judge: JSON.stringify({ clarity: 8, punchline: 7, guidanceFit: 9, rationale: 'Clear setup, and the kettle callback lands.' }),
+  seriesSummary: 'Priya and Dev keep production running from the office kitchen. A kettle took the servers down, and Dev now wants code reviews for kitchen appliances.'
+};
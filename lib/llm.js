@@ -0,0 +1,691 @@
+import OpenAI from 'openai';
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { FIXTURE_OUTPUTS } from './llm-fixtures.js';
+import { recordCall } from './provenance.js';
+
+const log = (...args) => console.log('[LLM]', ...args);
+
+// Default backend and model for each step of the comic pipeline.
+// Every field can be overridden per step through the environment, e.g.
+// LLM_SCRIPT_MODEL=gpt-5-mini or LLM_FORMAT_PROVIDER=fixture, and
+// LLM_PROVIDER / LLM_MODEL change the default for all steps at once.
+// `fallbacks` are tried in order when the model keeps failing or times out
+// (LLM_SCRIPT_FALLBACKS=gpt-5-mini,openai-compatible:llama3.1 or "none");
+// `timeoutMs` bounds each attempt (LLM_SCRIPT_TIMEOUT_MS), and `deadlineMs` the
+// whole step, retries and fallbacks included (LLM_SCRIPT_DEADLINE_MS).
+const STEP_DEFAULTS = {
+  script: { provider: 'openai', model: 'gpt-5', api: 'responses', reasoningEffort: 'high', fallbacks: ['gpt-5-mini'], timeoutMs: 240000, deadlineMs: 270000 },
+  analysis: { provider: 'openai', model: 'gpt-5-chat-latest', api: 'chat', reasoningEffort: null, fallbacks: ['gpt-5-mini'], timeoutMs: 60000, deadlineMs: 120000 },
+  format: { provider: 'openai', model: 'gpt-5-nano', api: 'responses', reasoningEffort: 'minimal', fallbacks: ['gpt-5-mini'], timeoutMs: 60000, deadlineMs: 120000 },
+  formatFallback: { provider: 'openai', model: 'gpt-5-nano', api: 'responses', reasoningEffort: 'minimal', fallbacks: ['gpt-5-mini'], timeoutMs: 60000, deadlineMs: 120000 },
+  seriesSummary: { provider: 'openai', model: 'gpt-5-nano', api: 'responses', reasoningEffort: 'minimal', fallbacks: [], timeoutMs: 30000, deadlineMs: 60000 },
+  judge: { provider: 'openai', model: 'gpt-5-mini', api: 'responses', reasoningEffort: 'low', fallbacks: ['gpt-5-nano'], timeoutMs: 60000, deadlineMs: 120000 },
+  moderation: { provider: 'openai', model: 'gpt-5-nano', api: 'responses', reasoningEffort: 'minimal', fallbacks: [], timeoutMs: 30000, deadlineMs: 60000 }
+};
+
+// Transient failures (429, 5xx, dropped connections) are retried on the same model
+// with exponential backoff and full jitter before moving down the fallback chain.
+// A model that keeps failing trips its circuit breaker and is skipped until the
+// cooldown ends; then a single trial call decides whether it closes or opens again.
+// Breaker state lives in the function instance, like the provider clients.
+const RETRY_DEFAULTS = {
+  maxRetries: 2, // LLM_MAX_RETRIES
+  baseDelayMs: 500, // LLM_RETRY_BASE_MS
+  maxDelayMs: 8000,
+  breakerThreshold: 5, // LLM_BREAKER_THRESHOLD consecutive failures
+  breakerCooldownMs: 30000 // LLM_BREAKER_COOLDOWN_MS
+};
+
+// Embedding calls take their provider and model from EMBEDDINGS_PROVIDER and
+// EMBEDDINGS_MODEL (see lib/embeddings.js); only the timeout is set here.
+const EMBEDDING_TIMEOUT_MS = 15000; // LLM_EMBEDDING_TIMEOUT_MS
+
+// Reasoning efforts from least to most thorough
+export const REASONING_EFFORTS = ['minimal', 'low', 'medium', 'high'];
+
+const PROVIDERS = {
+  openai: createOpenAIProvider,
+  'openai-compatible': createCompatibleProvider,
+  fixture: createFixtureProvider
+};
+
+const providerCache = new Map();
+const breakers = new Map();
+// Deadline of the work the current call belongs to (ms since epoch), e.g. a generation job
+const deadlines = new AsyncLocalStorage();
+
+// formatFallback -> FORMAT_FALLBACK
+function envKey(step) {
+  return step.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+/**
+ * Resolves the provider, model and options used for a pipeline step
+ * @param {string} step - Pipeline step name (script, analysis, format, formatFallback, seriesSummary, judge, moderation)
+ * @returns {Object} Step configuration
+ */
+export function getStepConfig(step) {
+  const defaults = STEP_DEFAULTS[step];
+  if (!defaults) {
+    throw new Error(`Unknown LLM step: ${step}`);
+  }
+
+  const key = envKey(step);
+  const env = process.env;
+  const provider = env[`LLM_${key}_PROVIDER`] || env.LLM_PROVIDER || defaults.provider;
+
+  if (!PROVIDERS[provider]) {
+    throw new Error(`Unknown LLM provider "${provider}" for step ${step}`);
+  }
+
+  const reasoningEffort = env[`LLM_${key}_REASONING`] || defaults.reasoningEffort;
+  const timeoutMs = Number.parseInt(env[`LLM_${key}_TIMEOUT_MS`] || '', 10);
+  const deadlineMs = Number.parseInt(env[`LLM_${key}_DEADLINE_MS`] || '', 10);
+
+  return {
+    step,
+    provider,
+    model: env[`LLM_${key}_MODEL`] || env.LLM_MODEL || defaults.model,
+    api: env[`LLM_${key}_API`] || defaults.api,
+    reasoningEffort: reasoningEffort === 'none' ? null : reasoningEffort,
+    timeoutMs: Number.isInteger(timeoutMs) && timeoutMs > 0 ? timeoutMs : defaults.timeoutMs,
+    deadlineMs: Number.isInteger(deadlineMs) && deadlineMs > 0 ? deadlineMs : defaults.deadlineMs,
+    fallbacks: parseFallbacks(env[`LLM_${key}_FALLBACKS`], defaults.fallbacks, provider)
+  };
+}
+
+// "gpt-5-mini,openai-compatible:llama3.1" -> [{ provider, model }]; bare models use the step's provider.
+// The default fallbacks are OpenAI models, so other providers only get the ones configured for them.
+function parseFallbacks(value, defaults, provider) {
+  if (value === 'none') return [];
+  if (value === undefined && provider !== 'openai') return [];
+  const entries = value !== undefined ? value.split(',').map(entry => entry.trim()).filter(Boolean) : defaults;
+  return entries.map(entry => {
+    const [name, ...model] = entry.split(':');
+    if (model.length > 0 && PROVIDERS[name]) {
+      return { provider: name, model: model.join(':') };
+    }
+    return { provider, model: entry };
+  });
+}
+
+function getRetrySettings() {
+  const value = (name, fallback) => {
+    const number = Number.parseInt(process.env[name] || '', 10);
+    return Number.isInteger(number) && number >= 0 ? number : fallback;
+  };
+  return {
+    ...RETRY_DEFAULTS,
+    maxRetries: value('LLM_MAX_RETRIES', RETRY_DEFAULTS.maxRetries),
+    baseDelayMs: value('LLM_RETRY_BASE_MS', RETRY_DEFAULTS.baseDelayMs),
+    breakerThreshold: Math.max(1, value('LLM_BREAKER_THRESHOLD', RETRY_DEFAULTS.breakerThreshold)),
+    breakerCooldownMs: value('LLM_BREAKER_COOLDOWN_MS', RETRY_DEFAULTS.breakerCooldownMs)
+  };
+}
+
+function getProvider(name) {
+  if (!providerCache.has(name)) {
+    providerCache.set(name, PROVIDERS[name]());
+  }
+  return providerCache.get(name);
+}
+
+/**
+ * Runs one pipeline step through its configured provider. Transient failures are
+ * retried with backoff, then the step's fallback models are tried in order.
+ * @param {string} step - Pipeline step name
+ * @param {Object} request - Prompt and limits for the call
+ * @param {string} request.system - System prompt
+ * @param {string} request.prompt - User prompt
+ * @param {number} request.maxTokens - Output token limit
+ * @param {string} [request.reasoningEffort] - Overrides the step's configured effort
+ * @param {number} [request.temperature] - Sampling temperature; not sent to reasoning models
+ * @param {Function} [request.onDelta] - Streams partial output text as it is generated
+ * @param {Function} [request.onRetry] - Called before another attempt, so streamed output can be discarded
+ * @param {number} [request.deadline] - Time (ms since epoch) to give up by, if sooner than the step's own deadline
+ * @returns {Promise<Object>} Normalized result: { text, status, incompleteReason, usage, provider, model, reasoningEffort, temperature (as sent, null if not), requestedModel, fallback, attempts }
+ */
+export async function completeStep(step, request) {
+  const config = getStepConfig(step);
+  const chain = [
+    config,
+    // A fallback on a Chat Completions-only server cannot use the Responses API
+    ...config.fallbacks.map(fallback => ({
+      ...config,
+      ...fallback,
+      api: fallback.provider === 'openai' ? config.api : 'chat'
+    }))
+  ];
+  return await runChain(config, chain, request, attemptStep);
+}
+
+/**
+ * Runs `fn` with a deadline for every model call made inside it. Each step then gives
+ * up at the sooner of this and its own deadline.
+ * @param {number} deadline - Time to give up by (ms since epoch)
+ * @param {Function} fn - Async work whose model calls share the deadline
+ * @returns {Promise<*>} Result of `fn`
+ */
+export function runWithDeadline(deadline, fn) {
+  return deadlines.run(deadline, fn);
+}
+
+/**
+ * Embeds text with an embedding model, with the same timeout, retries, circuit
+ * breaker and provenance record as completeStep
+ * @param {Object} request - What to embed, and with which model
+ * @param {string} request.provider - openai, openai-compatible or fixture
+ * @param {string} request.model - Embedding model
+ * @param {string} request.input - Text to embed
+ * @param {number} [request.dimensions] - Vector size, for models that let you choose
+ * @returns {Promise<Object>} { vector, usage, provider, model, requestedModel, fallback, attempts }
+ */
+export async function embedStep(request) {
+  if (!PROVIDERS[request.provider]) {
+    throw new Error(`Unknown LLM provider "${request.provider}" for step embedding`);
+  }
+
+  const timeoutMs = Number.parseInt(process.env.LLM_EMBEDDING_TIMEOUT_MS || '', 10);
+  const config = {
+    step: 'embedding',
+    provider: request.provider,
+    model: request.model,
+    api: 'embeddings',
+    timeoutMs: Number.isInteger(timeoutMs) && timeoutMs > 0 ? timeoutMs : EMBEDDING_TIMEOUT_MS
+  };
+  return await runChain(config, [config], request, attemptEmbedding);
+}
+
+// Tries each model in the chain, retrying transient failures, until one answers or the
+// deadline passes. Each attempt's timeout is cut short to fit what is left of it.
+async function runChain(config, chain, request, attempt) {
+  const { step } = config;
+  const settings = getRetrySettings();
+  const startedAt = Date.now();
+  const deadline = Math.min(
+    config.deadlineMs ? startedAt + config.deadlineMs : Infinity,
+    request.deadline ?? Infinity,
+    deadlines.getStore() ?? Infinity
+  );
+  let attempts = 0;
+  let lastError = null;
+
+  for (const [index, target] of chain.entries()) {
+    if (Date.now() >= deadline) break;
+    if (!breakerAllows(target)) {
+      log(`⛔ ${step}: circuit open for ${target.provider}/${target.model}, skipping`);
+      continue;
+    }
+
+    for (let retry = 0; retry <= settings.maxRetries; retry++) {
+      const remainingMs = deadline - Date.now();
+      if (remainingMs <= 0) break;
+      if (attempts > 0) {
+        request.onRetry?.({ attempt: attempts + 1, provider: target.provider, model: target.model, error: lastError?.message });
+      }
+      attempts++;
+
+      try {
+        const bounded = { ...target, timeoutMs: Math.min(target.timeoutMs, remainingMs) };
+        const result = await attempt(bounded, request, { attempt: attempts, fallback: index > 0 });
+        breakerSucceeded(target);
+        if (attempts > 1) {
+          log(`✅ ${step} recovered on attempt ${attempts} with ${target.provider}/${result.model}`);
+        }
+        return {
+          ...result,
+          requestedModel: config.model,
+          fallback: index > 0,
+          attempts
+        };
+      } catch (error) {
+        lastError = error;
+        const transient = isTransientError(error);
+        // Only provider trouble counts against the breaker; a rejected request shows the provider is up,
+        // and an attempt cut short by the deadline says nothing either way
+        if (error.timeout && Date.now() >= deadline) {
+          // Not the provider's fault
+        } else if (transient) {
+          breakerFailed(target, settings);
+        } else {
+          breakerSucceeded(target);
+        }
+
+        log(`⚠️ ${step} attempt ${attempts} failed on ${target.provider}/${target.model}:`, {
+          message: error.message,
+          status: error.status,
+          transient
+        });
+
+        // Timeouts and request errors would fail the same way again; try the next model
+        if (!transient || error.timeout || retry === settings.maxRetries || !breakerAllows(target)) {
+          break;
+        }
+        await sleep(Math.min(backoffDelay(retry, error, settings), Math.max(0, deadline - Date.now())));
+      }
+    }
+  }
+
+  if (Date.now() >= deadline) {
+    const error = new Error(`${step}: no model answered within its ${Math.max(0, deadline - startedAt)}ms deadline` +
+      (lastError ? ` (last error: ${lastError.message})` : ''));
+    error.deadline = true;
+    error.cause = lastError;
+    error.provider = lastError?.provider || config.provider;
+    error.model = lastError?.model || config.model;
+    error.attempts = attempts;
+    throw error;
+  }
+
+  const error = lastError || new Error(`${step}: every model is unavailable (circuit open)`);
+  error.provider = error.provider || config.provider;
+  error.model = error.model || config.model;
+  error.attempts = attempts;
+  throw error;
+}
+
+// One call to one model, bounded by the step's timeout and recorded in provenance
+async function attemptStep(target, request, { attempt, fallback }) {
+  const provider = getProvider(target.provider);
+  const call = {
+    ...target,
+    ...request,
+    reasoningEffort: request.reasoningEffort !== undefined ? request.reasoningEffort : target.reasoningEffort
+  };
+
+  log(`🤖 ${target.step} → ${target.provider}/${target.model}`, {
+    api: call.api,
+    reasoningEffort: call.reasoningEffort || 'n/a',
+    temperature: call.temperature ?? 'default',
+    maxTokens: call.maxTokens,
+    ...(attempt > 1 && { attempt }),
+    ...(fallback && { fallback })
+  });
+
+  const startedAt = Date.now();
+  const provenance = {
+    step: target.step,
+    provider: target.provider,
+    api: call.api,
+    reasoningEffort: call.reasoningEffort || null,
+    temperature: call.temperature ?? null,
+    maxTokens: call.maxTokens,
+    system: call.system,
+    prompt: call.prompt,
+    attempt,
+    fallback,
+    startedAt: new Date(startedAt).toISOString()
+  };
+
+  try {
+    const result = await withTimeout(signal => provider.complete({ ...call, signal }), target.timeoutMs, target);
+    recordCall({
+      ...provenance,
+      model: result.model || target.model,
+      temperature: result.temperature,
+      status: result.status,
+      incompleteReason: result.incompleteReason,
+      usage: result.usage,
+      output: result.text,
+      durationMs: Date.now() - startedAt
+    });
+    return {
+      ...result,
+      step: target.step,
+      provider: target.provider,
+      model: result.model || target.model,
+      reasoningEffort: call.reasoningEffort
+    };
+  } catch (error) {
+    recordCall({
+      ...provenance,
+      model: target.model,
+      status: 'error',
+      error: error.message,
+      durationMs: Date.now() - startedAt
+    });
+    error.provider = target.provider;
+    error.model = target.model;
+    throw error;
+  }
+}
+
+// One embedding call to one model, bounded by the timeout and recorded in provenance
+async function attemptEmbedding(target, request, { attempt, fallback }) {
+  const provider = getProvider(target.provider);
+  log(`🤖 embedding → ${target.provider}/${target.model}`, {
+    characters: request.input.length,
+    ...(attempt > 1 && { attempt }),
+    ...(fallback && { fallback })
+  });
+
+  const startedAt = Date.now();
+  const provenance = {
+    step: target.step,
+    provider: target.provider,
+    api: target.api,
+    prompt: request.input,
+    attempt,
+    fallback,
+    startedAt: new Date(startedAt).toISOString()
+  };
+
+  try {
+    const call = { ...target, input: request.input, dimensions: request.dimensions };
+    const result = await withTimeout(signal => provider.embed({ ...call, signal }), target.timeoutMs, target);
+    recordCall({
+      ...provenance,
+      model: result.model || target.model,
+      status: 'completed',
+      usage: result.usage,
+      output: `[${result.vector.length}-dimension vector]`,
+      durationMs: Date.now() - startedAt
+    });
+    return {
+      ...result,
+      step: target.step,
+      provider: target.provider,
+      model: result.model || target.model
+    };
+  } catch (error) {
+    recordCall({
+      ...provenance,
+      model: target.model,
+      status: 'error',
+      error: error.message,
+      durationMs: Date.now() - startedAt
+    });
+    error.provider = target.provider;
+    error.model = target.model;
+    throw error;
+  }
+}
+
+// Aborts the request (providers pass `signal` to the SDK) and rejects after `timeoutMs`
+async function withTimeout(run, timeoutMs, target) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      const error = new Error(`${target.step}: ${target.provider}/${target.model} timed out after ${timeoutMs}ms`);
+      error.timeout = true;
+      error.code = 'ETIMEDOUT';
+      reject(error);
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([run(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Rate limits, server errors and dropped connections are worth retrying; bad requests are not
+function isTransientError(error) {
+  if (error.timeout) return true;
+  const status = Number(error.status);
+  if (status) {
+    return status === 408 || status === 409 || status === 429 || status >= 500;
+  }
+  return ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN'].includes(error.code)
+    || ['APIConnectionError', 'APIConnectionTimeoutError'].includes(error.constructor?.name)
+    || error.name === 'FetchError';
+}
+
+// Full jitter: a random delay up to base * 2^retry, or the server's Retry-After when it sends one
+function backoffDelay(retry, error, settings) {
+  const retryAfter = Number(error.headers?.['retry-after'] ?? error.headers?.get?.('retry-after'));
+  if (Number.isFinite(retryAfter) && retryAfter > 0) {
+    return Math.min(retryAfter * 1000, settings.maxDelayMs);
+  }
+  return Math.random() * Math.min(settings.maxDelayMs, settings.baseDelayMs * 2 ** retry);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function breakerKey(target) {
+  return `${target.provider}/${target.model}`;
+}
+
+// Closed: every call passes. Open: none do until the cooldown ends. Half-open: the first
+// call after the cooldown is the trial, and the others are skipped until it settles.
+function breakerAllows(target) {
+  const breaker = breakers.get(breakerKey(target));
+  if (!breaker?.openUntil) return true;
+  if (breaker.openUntil > Date.now() || breaker.trial) return false;
+  breaker.trial = true;
+  return true;
+}
+
+function breakerSucceeded(target) {
+  breakers.delete(breakerKey(target));
+}
+
+// A failed trial reopens the circuit at once
+function breakerFailed(target, settings) {
+  const key = breakerKey(target);
+  const breaker = breakers.get(key) || { failures: 0, openUntil: 0, trial: false };
+  breaker.failures += 1;
+  if (breaker.failures >= settings.breakerThreshold) {
+    breaker.openUntil = Date.now() + settings.breakerCooldownMs;
+    breaker.trial = false;
+    log(`⛔ Circuit opened for ${key} after ${breaker.failures} consecutive failures`);
+  }
+  breakers.set(key, breaker);
+}
+
+/**
+ * Throws if a step result is unusable, otherwise returns its text
+ * @param {Object} result - Result from completeStep
+ * @param {string} stepName - Human readable step name for error messages
+ * @returns {string} The generated text
+ */
+export function requireText(result, stepName) {
+  if (!result) {
+    throw new Error(`${stepName}: No response received from model`);
+  }
+  if (result.status === 'incomplete') {
+    throw new Error(`${stepName}: ${result.model} response incomplete. Reason: ${result.incompleteReason || 'unknown'}`);
+  }
+  if (result.status !== 'completed') {
+    throw new Error(`${stepName}: ${result.model} response status: ${result.status}`);
+  }
+  if (!result.text || result.text.length === 0) {
+    throw new Error(`${stepName}: ${result.model} returned empty output`);
+  }
+  return result.text;
+}
+
+// OpenAI: Responses API for reasoning models, Chat Completions otherwise
+function createOpenAIProvider() {
+  // completeStep does its own retries, so the SDK's are turned off
+  const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY, maxRetries: 0 });
+  return {
+    complete: (call) => call.api === 'chat' ? chatComplete(client, call) : responsesComplete(client, call),
+    embed: (call) => createEmbedding(client, call)
+  };
+}
+
+// Any server speaking the Chat Completions protocol (Ollama, llama.cpp, vLLM, LM Studio...)
+function createCompatibleProvider() {
+  const client = new OpenAI({
+    baseURL: process.env.LLM_BASE_URL || 'http://localhost:11434/v1',
+    apiKey: process.env.LLM_API_KEY || 'not-needed',
+    maxRetries: 0
+  });
+  return {
+    complete: (call) => chatComplete(client, call),
+    // Local servers size their own vectors
+    embed: (call) => createEmbedding(client, { ...call, dimensions: undefined })
+  };
+}
+
+// Canned, deterministic output for running the pipeline without a model
+function createFixtureProvider() {
+  return {
+    async complete(call) {
+      const output = FIXTURE_OUTPUTS[call.step];
+      if (output === undefined) {
+        throw new Error(`No fixture output for step ${call.step}`);
+      }
+      const text = typeof output === 'function' ? await output(call) : output;
+      if (call.onDelta) {
+        text.split(/(?<=\n)/).forEach(line => call.onDelta(line));
+      }
+      // Roughly four characters per token, so usage accounting has something to count
+      const inputTokens = Math.ceil(`${call.system}${call.prompt}`.length / 4);
+      const outputTokens = Math.ceil(text.length / 4);
+      return {
+        text,
+        temperature: call.temperature ?? null,
+        status: 'completed',
+        incompleteReason: null,
+        usage: { inputTokens, outputTokens, reasoningTokens: 0, totalTokens: inputTokens + outputTokens },
+        model: 'fixture'
+      };
+    },
+    // Letter counts, so similar scripts get similar vectors
+    async embed(call) {
+      const vector = new Array(26).fill(0);
+      call.input.toLowerCase().replace(/[^a-z]/g, '').split('').forEach(letter => { vector[letter.charCodeAt(0) - 97]++; });
+      const inputTokens = Math.ceil(call.input.length / 4);
+      return {
+        vector,
+        usage: { inputTokens, outputTokens: 0, reasoningTokens: 0, totalTokens: inputTokens },
+        model: 'fixture'
+      };
+    }
+  };
+}
+
+async function responsesComplete(client, call) {
+  const params = {
+    model: call.model,
+    ...(call.reasoningEffort && { reasoning: { effort: call.reasoningEffort } }),
+    // Reasoning models reject temperature
+    ...(call.temperature !== undefined && !call.reasoningEffort && { temperature: call.temperature }),
+    input: [
+      { role: 'system', content: call.system },
+      { role: 'user', content: call.prompt }
+    ],
+    max_output_tokens: call.maxTokens
+  };
+
+  let response;
+  if (call.onDelta) {
+    const stream = await client.responses.create({ ...params, stream: true }, { signal: call.signal });
+    for await (const event of stream) {
+      if (event.type === 'response.output_text.delta') {
+        call.onDelta(event.delta);
+      } else if (['response.completed', 'response.incomplete', 'response.failed'].includes(event.type)) {
+        response = event.response;
+      }
+    }
+    if (!response) {
+      throw new Error(`${call.step}: stream ended without a final response`);
+    }
+  } else {
+    response = await client.responses.create(params, { signal: call.signal });
+  }
+
+  return {
+    text: response.output_text || '',
+    temperature: params.temperature ?? null,
+    status: response.status,
+    incompleteReason: response.incomplete_details?.reason || null,
+    usage: {
+      inputTokens: response.usage?.input_tokens,
+      outputTokens: response.usage?.output_tokens,
+      reasoningTokens: response.usage?.output_tokens_details?.reasoning_tokens,
+      totalTokens: response.usage?.total_tokens
+    },
+    model: response.model
+  };
+}
+
+async function chatComplete(client, call) {
+  const params = {
+    model: call.model,
+    messages: [
+      { role: 'system', content: call.system },
+      { role: 'user', content: call.prompt }
+    ],
+    ...(call.temperature !== undefined && { temperature: call.temperature }),
+    max_completion_tokens: call.maxTokens
+  };
+
+  const completion = call.onDelta
+    ? await streamChatCompletion(client, params, call.onDelta, call.signal)
+    : await client.chat.completions.create(params, { signal: call.signal });
+
+  const choice = completion.choices?.[0];
+  const truncated = choice?.finish_reason === 'length';
+
+  return {
+    text: choice?.message?.content || '',
+    temperature: params.temperature ?? null,
+    status: choice ? (truncated ? 'incomplete' : 'completed') : 'failed',
+    incompleteReason: truncated ? 'max_output_tokens' : null,
+    usage: {
+      inputTokens: completion.usage?.prompt_tokens,
+      outputTokens: completion.usage?.completion_tokens,
+      reasoningTokens: completion.usage?.completion_tokens_details?.reasoning_tokens,
+      totalTokens: completion.usage?.total_tokens
+    },
+    model: completion.model
+  };
+}
+
+async function createEmbedding(client, call) {
+  const response = await client.embeddings.create({
+    model: call.model,
+    input: call.input,
+    ...(call.dimensions && { dimensions: call.dimensions })
+  }, { signal: call.signal });
+
+  return {
+    vector: response.data[0].embedding,
+    usage: {
+      inputTokens: response.usage?.prompt_tokens,
+      outputTokens: 0,
+      reasoningTokens: 0,
+      totalTokens: response.usage?.total_tokens
+    },
+    model: response.model
+  };
+}
+
+// Accumulates a streamed chat completion into the non-streaming shape
+async function streamChatCompletion(client, params, onDelta, signal) {
+  const stream = await client.chat.completions.create({
+    ...params,
+    stream: true,
+    stream_options: { include_usage: true }
+  }, { signal });
+
+  let content = '';
+  let finishReason = null;
+  let model = params.model;
+  let usage;
+
+  for await (const chunk of stream) {
+    model = chunk.model || model;
+    usage = chunk.usage || usage;
+    const choice = chunk.choices?.[0];
+    if (choice?.delta?.content) {
+      content += choice.delta.content;
+      onDelta(choice.delta.content);
+    }
+    finishReason = choice?.finish_reason || finishReason;
+  }
+
+  return {
+    model,
+    usage,
+    choices: [{ message: { content }, finish_reason: finishReason }]
+  };
+}
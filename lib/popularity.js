@@ -0,0 +1,175 @@
+import { kv } from './redis.js';
+import { REACTIONS, reactionWeight } from '../src/reactions-registry.js';
+
+const log = (...args) => console.log('[POPULARITY]', ...args);
+
+// Redis layout:
+//   popular:all          zset   comic id -> all-time confidence score
+//   popular:day:{date}   hash   {comicId}:n and {comicId}:positive, reactions a comic got that UTC day and their positive share
+//
+// Every reaction counts as a fraction of a "positive" vote: its weight in the
+// reaction registry (-2 to 2) mapped onto 0-1, so 👍 is 1, 😐 is 0.5 and 🙅 is 0.
+// A comic's score is the Wilson lower bound of its positive share: the share it
+// can be trusted to have at 95% confidence. Two 👍 score below fifty reactions
+// that are mostly 👍. Daily, weekly and hot rankings sum the day buckets;
+// hot halves each day's weight every POPULAR_HOT_HALF_LIFE_HOURS.
+const ALL_TIME_KEY = 'popular:all';
+const MAX_ALL_TIME = 1000;
+const BUCKET_DAYS = 8; // A week plus the partial day the rolling windows reach back into
+const BUCKET_TTL_SECONDS = 86400 * (BUCKET_DAYS + 1);
+const WILSON_Z = 1.96;
+
+export const POPULAR_WINDOWS = ['hot', 'day', 'week', 'all'];
+
+const WEIGHT_RANGE = {
+  min: Math.min(...REACTIONS.map(reaction => reaction.weight)),
+  max: Math.max(...REACTIONS.map(reaction => reaction.weight))
+};
+
+/**
+ * How positive a reaction is, from 0 (most negative type) to 1 (most positive)
+ * @param {string} type - Reaction type
+ * @returns {number} Positive share of one reaction
+ */
+export function positiveShare(type) {
+  return (reactionWeight(type) - WEIGHT_RANGE.min) / (WEIGHT_RANGE.max - WEIGHT_RANGE.min);
+}
+
+/**
+ * Lower bound of the Wilson score interval for a positive share
+ * @param {number} positive - Sum of positive shares
+ * @param {number} n - Number of reactions (may be fractional for decayed counts)
+ * @param {number} [z=1.96] - Confidence (1.96 = 95%)
+ * @returns {number} Score from 0 to 1; 0 without reactions
+ */
+export function wilsonLowerBound(positive, n, z = WILSON_Z) {
+  if (!(n > 0)) return 0;
+  const share = Math.min(1, Math.max(0, positive / n));
+  const z2 = z * z;
+  const centre = share + z2 / (2 * n);
+  const margin = z * Math.sqrt((share * (1 - share) + z2 / (4 * n)) / n);
+  return (centre - margin) / (1 + z2 / n);
+}
+
+/**
+ * Counts a reaction (or its removal) towards a comic's rankings.
+ * Call after comic:{id}:stats has been updated.
+ * @param {string} comicId - Comic ID
+ * @param {string} type - Reaction type
+ * @param {number} [direction=1] - 1 for a new reaction, -1 for a removed one
+ * @param {number|null} [reactedAt=Date.now()] - When the reaction was given (ms). A removal comes out of
+ *   that day's bucket; with null, or once that bucket has aged out, only the all-time score changes
+ * @returns {Promise<void>}
+ */
+export async function recordPopularity(comicId, type, direction = 1, reactedAt = Date.now()) {
+  if (reactedAt && Date.now() - reactedAt < BUCKET_DAYS * 86400000) {
+    const key = `popular:day:${dateOf(new Date(reactedAt))}`;
+    await kv.hincrbyfloat(key, `${comicId}:n`, direction);
+    await kv.hincrbyfloat(key, `${comicId}:positive`, positiveShare(type) * direction);
+    await kv.expire(key, BUCKET_TTL_SECONDS);
+  }
+
+  const { positive, n } = totalsFromStats(await kv.hgetall(`comic:${comicId}:stats`));
+  await kv.zadd(ALL_TIME_KEY, wilsonLowerBound(positive, n), comicId);
+  await kv.zremrangebyrank(ALL_TIME_KEY, 0, -(MAX_ALL_TIME + 1));
+}
+
+/**
+ * Most popular comics in a window
+ * @param {Object} [options] - Ranking options
+ * @param {string} [options.window='hot'] - hot, day, week or all
+ * @param {number} [options.limit=10] - Comics to return
+ * @returns {Promise<{comics: Object[], rankings: Object[]}>} Comics, and `{ comicId, score, reactions }` for each
+ */
+export async function getPopularComics({ window = 'hot', limit = 10 } = {}) {
+  const ranked = window === 'all'
+    ? await rankAllTime(limit * 2)
+    : await rankRecent(window);
+
+  // Ask for a few more than needed: comics expire before their rankings do
+  const candidates = ranked.slice(0, limit * 2);
+  if (candidates.length === 0) return { comics: [], rankings: [] };
+
+  const comics = await kv.mget(candidates.map(({ comicId }) => `comic:${comicId}`));
+  const found = candidates
+    .map((ranking, index) => ({ ranking, comic: comics[index] }))
+    .filter(({ comic }) => comic)
+    .slice(0, limit);
+
+  log('🏆 Ranked popular comics:', { window, ranked: ranked.length, returned: found.length });
+  return {
+    comics: found.map(({ comic }) => comic),
+    rankings: found.map(({ ranking }) => ranking)
+  };
+}
+
+async function rankAllTime(count) {
+  const ids = await kv.zrange(ALL_TIME_KEY, 0, count - 1, { rev: true });
+  if (!ids || ids.length === 0) return [];
+
+  const ranked = [];
+  for (const comicId of ids) {
+    const { positive, n } = totalsFromStats(await kv.hgetall(`comic:${comicId}:stats`));
+    ranked.push({ comicId, score: round(wilsonLowerBound(positive, n)), reactions: n });
+  }
+  return ranked;
+}
+
+// Sums the day buckets with a weight per day for the window, then scores each comic
+async function rankRecent(window) {
+  const now = Date.now();
+  const elapsed = (now % 86400000) / 86400000; // Fraction of today gone by
+  const halfLifeHours = Math.max(1, Number.parseFloat(process.env.POPULAR_HOT_HALF_LIFE_HOURS || '24') || 24);
+
+  const dayWeight = (daysAgo) => {
+    if (window === 'hot') {
+      // Age of the middle of the bucket's reactions so far
+      const ageHours = daysAgo === 0 ? elapsed * 12 : (daysAgo - 1 + elapsed) * 24 + 12;
+      return Math.pow(0.5, ageHours / halfLifeHours);
+    }
+    // Rolling windows: whole days, plus the part of the oldest day still inside the window
+    const span = window === 'day' ? 1 : 7;
+    if (daysAgo < span) return 1;
+    return daysAgo === span ? 1 - elapsed : 0;
+  };
+
+  const totals = new Map();
+  for (let daysAgo = 0; daysAgo < BUCKET_DAYS; daysAgo++) {
+    const weight = dayWeight(daysAgo);
+    if (weight <= 0) continue;
+
+    const bucket = await kv.hgetall(`popular:day:${dateOf(new Date(now - daysAgo * 86400000))}`) || {};
+    Object.entries(bucket).forEach(([field, value]) => {
+      const separator = field.lastIndexOf(':');
+      const comicId = field.slice(0, separator);
+      const total = totals.get(comicId) || { n: 0, positive: 0 };
+      total[field.slice(separator + 1)] += (Number(value) || 0) * weight;
+      totals.set(comicId, total);
+    });
+  }
+
+  return [...totals.entries()]
+    .map(([comicId, { n, positive }]) => ({ comicId, score: round(wilsonLowerBound(positive, n)), reactions: round(n) }))
+    .filter(({ reactions }) => reactions > 0)
+    .sort((a, b) => b.score - a.score || b.reactions - a.reactions);
+}
+
+// Reaction count and positive share from a comic's per-type reaction counters
+function totalsFromStats(stats) {
+  let n = 0;
+  let positive = 0;
+  REACTIONS.forEach(({ type }) => {
+    const count = Math.max(0, Number(stats?.[type]) || 0);
+    n += count;
+    positive += count * positiveShare(type);
+  });
+  return { n, positive };
+}
+
+function dateOf(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
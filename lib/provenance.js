@@ -0,0 +1,125 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { kv } from './redis.js';
+import { summarizeUsage } from './usage.js';
+
+const log = (...args) => console.log('[PROVENANCE]', ...args);
+
+// Redis layout:
+//   comic:{comicId}:provenance   JSON   record of the generation that produced a comic
+//   job:{jobId}:provenance       JSON   record of a failed generation, kept for as long as its job
+//
+// A record holds every LLM call (prompts, model, reasoning effort, usage, raw output,
+// timing), the pipeline's progress events and notes such as which parser was used.
+// The active record travels with the async context, so completeStep can log calls
+// without each pipeline function passing it along.
+const COMIC_PROVENANCE_TTL_SECONDS = 86400 * 30; // Same lifetime as the comic itself
+const JOB_PROVENANCE_TTL_SECONDS = 86400; // Same lifetime as the job record
+const MAX_TEXT_LENGTH = 50000; // Per prompt or output; keeps records well under Redis value limits
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Starts an empty provenance record
+ * @param {Object} [meta={}] - Identifiers such as requestId and jobId
+ * @returns {Object} Provenance record
+ */
+export function createProvenance(meta = {}) {
+  return {
+    ...meta,
+    startedAt: new Date().toISOString(),
+    calls: [],
+    steps: [],
+    notes: {}
+  };
+}
+
+/**
+ * Runs `fn` with `record` as the active provenance record
+ * @param {Object} record - Record from createProvenance
+ * @param {Function} fn - Async work to trace
+ * @returns {Promise<*>} Result of `fn`
+ */
+export function runWithProvenance(record, fn) {
+  return storage.run(record, fn);
+}
+
+/**
+ * Whether there is an active record for LLM calls to land in
+ * @returns {boolean} True inside runWithProvenance
+ */
+export function hasActiveProvenance() {
+  return Boolean(storage.getStore());
+}
+
+/**
+ * Adds an LLM call to the active record, if any
+ * @param {Object} call - Call details from completeStep
+ */
+export function recordCall(call) {
+  const record = storage.getStore();
+  if (!record) return;
+  record.calls.push({
+    ...call,
+    system: truncate(call.system),
+    prompt: truncate(call.prompt),
+    output: truncate(call.output)
+  });
+}
+
+/**
+ * Adds a progress event to the active record, if any
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload
+ */
+export function recordStep(event, data) {
+  const record = storage.getStore();
+  if (!record || event !== 'progress') return;
+  record.steps.push({ ...data, at: new Date().toISOString() });
+}
+
+/**
+ * Stores a pipeline fact on the active record, e.g. noteProvenance('parser', 'local')
+ * @param {string} key - Note name
+ * @param {*} value - Note value
+ */
+export function noteProvenance(key, value) {
+  const record = storage.getStore();
+  if (!record) return;
+  record.notes[key] = value;
+}
+
+/**
+ * Saves a finished record under the comic it produced, or under its job when generation failed
+ * @param {Object} record - Provenance record
+ * @param {Object} target - `{ comicId }` or `{ jobId }`
+ * @returns {Promise<void>}
+ */
+export async function saveProvenance(record, { comicId, jobId }) {
+  const finished = {
+    ...record,
+    ...(comicId && { comicId }),
+    finishedAt: new Date().toISOString(),
+    durationMs: Date.now() - new Date(record.startedAt).getTime(),
+    usage: summarizeUsage(record.calls)
+  };
+
+  const key = comicId ? `comic:${comicId}:provenance` : `job:${jobId}:provenance`;
+  await kv.set(key, finished, { ex: comicId ? COMIC_PROVENANCE_TTL_SECONDS : JOB_PROVENANCE_TTL_SECONDS });
+  log('🧾 Saved provenance:', key, { calls: record.calls.length, steps: record.steps.length });
+}
+
+/**
+ * Loads the provenance record of a comic or failed job
+ * @param {Object} target - `{ comicId }` or `{ jobId }`
+ * @returns {Promise<Object|null>} Record or null
+ */
+export async function getProvenance({ comicId, jobId }) {
+  if (comicId) return await kv.get(`comic:${comicId}:provenance`);
+  if (jobId) return await kv.get(`job:${jobId}:provenance`);
+  return null;
+}
+
+function truncate(text) {
+  if (typeof text !== 'string' || text.length <= MAX_TEXT_LENGTH) return text;
+  return `${text.slice(0, MAX_TEXT_LENGTH)}… [${text.length - MAX_TEXT_LENGTH} more characters]`;
+}
@@ -0,0 +1,159 @@
+import { kv } from './redis.js';
+
+const log = (...args) => console.log('[RATE-LIMIT]', ...args);
+
+// Redis layout:
+//   ratelimit:{name}:{subject}:{window}   counter   requests from one user or IP in one fixed window
+//
+// Sliding window counter: the previous window's count, weighted by how much of it
+// still overlaps the sliding window, plus the current window's count. Two atomic
+// INCR/GET calls per subject instead of a log of every request. Rejected requests
+// count too, so clients that ignore Retry-After stay limited.
+//
+// Each endpoint limits both the caller's userId and IP. Users pick their own IDs,
+// so the IP limit is what stops a loop from rotating them; it is higher because
+// households and offices share an address.
+export const RATE_LIMITS = {
+  generate: { user: 5, ip: 15, windowSeconds: 600 },
+  feedback: { user: 60, ip: 180, windowSeconds: 60 }
+};
+
+/**
+ * Limits for an endpoint, overridable per field, e.g. RATE_LIMIT_GENERATE_USER=10,
+ * RATE_LIMIT_GENERATE_IP=30, RATE_LIMIT_GENERATE_WINDOW=300. A limit of 0 turns that check off.
+ * @param {string} name - Limit name (generate, feedback)
+ * @returns {{user: number, ip: number, windowSeconds: number}} Limits
+ */
+export function getRateLimit(name) {
+  const defaults = RATE_LIMITS[name];
+  if (!defaults) {
+    throw new Error(`Unknown rate limit: ${name}`);
+  }
+
+  const value = (field, fallback) => {
+    const number = Number.parseInt(process.env[`RATE_LIMIT_${name.toUpperCase()}_${field}`] ?? '', 10);
+    return Number.isInteger(number) && number >= 0 ? number : fallback;
+  };
+  return {
+    user: value('USER', defaults.user),
+    ip: value('IP', defaults.ip),
+    windowSeconds: Math.max(1, value('WINDOW', defaults.windowSeconds))
+  };
+}
+
+/**
+ * Client IP as seen by the edge (first x-forwarded-for hop)
+ * @param {Object} req - HTTP request object
+ * @returns {string|null} IP address
+ */
+export function getClientIp(req) {
+  const forwarded = req.headers?.['x-forwarded-for'];
+  const first = (Array.isArray(forwarded) ? forwarded[0] : forwarded)?.split(',')[0]?.trim();
+  return first || req.headers?.['x-real-ip'] || req.socket?.remoteAddress || null;
+}
+
+/**
+ * Counts a request against the user and IP limits of an endpoint
+ * @param {string} name - Limit name
+ * @param {Object} caller - Who is calling
+ * @param {string} [caller.userId] - User ID from the request
+ * @param {string} [caller.ip] - Client IP
+ * @returns {Promise<Object>} `{ allowed, limit, remaining, resetSeconds, retryAfterSeconds, subject }` for the tightest check
+ */
+export async function checkRateLimit(name, { userId, ip } = {}) {
+  const limits = getRateLimit(name);
+  const subjects = [
+    userId && limits.user ? { subject: `user:${userId}`, limit: limits.user } : null,
+    ip && limits.ip ? { subject: `ip:${ip}`, limit: limits.ip } : null
+  ].filter(Boolean);
+
+  if (subjects.length === 0) {
+    return { allowed: true, limit: null, remaining: null, resetSeconds: 0, retryAfterSeconds: 0, subject: null };
+  }
+
+  const results = await Promise.all(subjects.map(({ subject, limit }) => slidingWindow(name, subject, limit, limits.windowSeconds)));
+
+  // A rejection wins; otherwise report the check closest to its limit
+  const tightest = results.find(result => !result.allowed)
+    || results.reduce((lowest, result) => result.remaining < lowest.remaining ? result : lowest);
+
+  if (!tightest.allowed) {
+    log('🚦 Rate limited:', { name, subject: tightest.subject, retryAfterSeconds: tightest.retryAfterSeconds });
+  }
+  return tightest;
+}
+
+/**
+ * Applies an endpoint's rate limit to a request: sets the RateLimit headers and,
+ * when over the limit, answers 429 with Retry-After. Fails open if Redis is unavailable.
+ * @param {string} name - Limit name
+ * @param {Object} req - HTTP request object (userId is read from the body or query)
+ * @param {Object} res - HTTP response object
+ * @returns {Promise<boolean>} True if the request may proceed; false if the 429 was sent
+ */
+export async function enforceRateLimit(name, req, res) {
+  let result;
+  try {
+    result = await checkRateLimit(name, {
+      userId: req.body?.userId || req.query?.userId,
+      ip: getClientIp(req)
+    });
+  } catch (error) {
+    log('⚠️ Rate limit check failed (allowing request):', error.message);
+    return true;
+  }
+
+  if (result.limit !== null) {
+    res.setHeader('X-RateLimit-Limit', String(result.limit));
+    res.setHeader('X-RateLimit-Remaining', String(result.remaining));
+    res.setHeader('X-RateLimit-Reset', String(result.resetSeconds));
+  }
+
+  if (result.allowed) {
+    return true;
+  }
+
+  res.setHeader('Retry-After', String(result.retryAfterSeconds));
+  res.status(429).json({
+    success: false,
+    error: 'Too many requests, please slow down',
+    retryAfterSeconds: result.retryAfterSeconds
+  });
+  return false;
+}
+
+async function slidingWindow(name, subject, limit, windowSeconds) {
+  const now = Date.now() / 1000;
+  const window = Math.floor(now / windowSeconds);
+  const elapsed = (now % windowSeconds) / windowSeconds; // Fraction of the current window gone by
+  const key = `ratelimit:${name}:${subject}:${window}`;
+
+  const current = await kv.incr(key);
+  if (current === 1) {
+    // The count is still needed as the previous window during the next one
+    await kv.expire(key, windowSeconds * 2);
+  }
+  const previous = Number(await kv.get(`ratelimit:${name}:${subject}:${window - 1}`)) || 0;
+
+  const count = previous * (1 - elapsed) + current;
+  const resetSeconds = Math.ceil(windowSeconds * (1 - elapsed));
+  const allowed = count <= limit;
+
+  let retryAfterSeconds = 0;
+  if (!allowed) {
+    // The current window alone is over: wait for the next one. Otherwise wait until
+    // enough of the previous window has slid out.
+    retryAfterSeconds = current >= limit || previous === 0
+      ? resetSeconds
+      : Math.ceil(((1 - (limit - current) / previous) - elapsed) * windowSeconds);
+  }
+
+  return {
+    allowed,
+    subject,
+    limit,
+    remaining: Math.max(0, Math.floor(limit - count)),
+    resetSeconds,
+    retryAfterSeconds: Math.max(allowed ? 0 : 1, retryAfterSeconds)
+  };
+}
@@ -0,0 +1,368 @@
+import { kv } from './redis.js';
+
+const log = (...args) => console.log('[REACTION-STATS]', ...args);
+
+// Redis layout:
+//   reaction_queue          list   reactions waiting to be counted, newest first (lpush), drained from the tail
+//   stats:token:{token}     hash   positive, negative, total, scaled for time decay (see below); lastSeen (ms)
+//   stats:concept:{name}    hash   the same, plus type:{reactionType} counts
+//   stats:tokens            zset   token -> its decayed total, the retention score
+//   stats:concepts          zset   concept -> its decayed total
+//   token_guidance_cache    JSON   global guidance built from the stats, rewritten after every drain
+//
+// submit-feedback only pushes one entry per reaction. The worker pops entries in
+// batches, sums them per token and concept in memory, and adds the sums with
+// HINCRBYFLOAT, so concurrent workers and requests never overwrite each other.
+//
+// Counts decay with a half-life of REACTION_STATS_HALF_LIFE_DAYS. Rather than
+// rewriting every hash as time passes, a reaction is stored as 2^(age of the
+// reaction since DECAY_EPOCH / half-life): later reactions are worth
+// exponentially more, and reading divides by the same factor for now. Changing
+// the half-life rescales what is already stored, so pick it once. The factor
+// doubles every half-life and passes the largest double after 1024 of them, so
+// the half-life is at least MIN_HALF_LIFE_DAYS: 7 days lasts until 2044.
+//
+// The same scaled total is the retention score, so it grows with sample size and
+// fades with age. After each drain the lowest are evicted, hash and all: those past
+// the MAX_TRACKED best, and any worth less than MIN_RETAINED_SAMPLES reactions today.
+const QUEUE_KEY = 'reaction_queue';
+const GUIDANCE_CACHE_KEY = 'token_guidance_cache';
+const GUIDANCE_CACHE_SECONDS = 600; // Outlives the 5-minute cron, so generation finds it warm while the worker runs
+const DECAY_EPOCH = Date.parse('2025-01-01T00:00:00Z');
+const MIN_HALF_LIFE_DAYS = 7;
+const MAX_QUEUE = 10000; // Oldest reactions are dropped if the worker stops running
+const MAX_TRACKED = 1000;
+const MIN_RETAINED_SAMPLES = 0.5; // One reaction drops out about one half-life after it was given
+const MIN_SAMPLES = 5;
+const FULL_CONFIDENCE_SAMPLES = 30;
+const GUIDANCE_THRESHOLD = 0.3;
+
+const KINDS = {
+  token: { registry: 'stats:tokens', key: token => `stats:token:${token}` },
+  concept: { registry: 'stats:concepts', key: concept => `stats:concept:${concept}` }
+};
+
+/**
+ * Worker settings from the environment:
+ *   REACTION_STATS_HALF_LIFE_DAYS   - days for a reaction's weight in the stats to halve (default 30, at least 7)
+ *   REACTION_QUEUE_BATCH            - queue entries popped at a time (default 200)
+ *   REACTION_QUEUE_MAX_BATCHES      - batches per worker run (default 25)
+ * @returns {{halfLifeMs: number, batchSize: number, maxBatches: number}} Settings
+ */
+export function getReactionStatsSettings() {
+  const value = (name, fallback) => {
+    const number = Number.parseInt(process.env[name] ?? '', 10);
+    return Number.isInteger(number) && number > 0 ? number : fallback;
+  };
+  let halfLifeDays = value('REACTION_STATS_HALF_LIFE_DAYS', 30);
+  if (halfLifeDays < MIN_HALF_LIFE_DAYS) {
+    log('⚠️ REACTION_STATS_HALF_LIFE_DAYS below the minimum, using', MIN_HALF_LIFE_DAYS, { configured: halfLifeDays });
+    halfLifeDays = MIN_HALF_LIFE_DAYS;
+  }
+  return {
+    halfLifeMs: halfLifeDays * 86400000,
+    batchSize: value('REACTION_QUEUE_BATCH', 200),
+    maxBatches: value('REACTION_QUEUE_MAX_BATCHES', 25)
+  };
+}
+
+/**
+ * Queues a reaction (or its removal) for the token and concept stats
+ * @param {Object} reaction - Reaction to count
+ * @param {string} reaction.comicId - Comic ID
+ * @param {string} reaction.type - Reaction type
+ * @param {number} reaction.weight - Reaction weight from the registry
+ * @param {string[]} [reaction.tokens] - The comic's tokens
+ * @param {string[]} [reaction.concepts] - The comic's semantic concepts
+ * @param {number} [reaction.direction=1] - 1 for a new reaction, -1 for a removed one
+ * @param {number} [reaction.reactedAt=Date.now()] - When the reaction was given (ms). A removal must pass the
+ *   original reaction's time, so it takes back exactly the decayed amount that reaction added
+ * @returns {Promise<boolean>} False when the reaction has nothing to count
+ */
+export async function enqueueReaction({ comicId, type, weight, tokens = [], concepts = [], direction = 1, reactedAt = Date.now() }) {
+  if (tokens.length === 0 && concepts.length === 0) return false;
+
+  await kv.lpush(QUEUE_KEY, {
+    comicId,
+    reactionType: type,
+    weight,
+    direction,
+    tokens,
+    concepts,
+    timestamp: new Date(reactedAt).toISOString()
+  });
+  await kv.ltrim(QUEUE_KEY, 0, MAX_QUEUE - 1);
+  return true;
+}
+
+/**
+ * Drains the reaction queue into the token and concept stats, then rebuilds the
+ * global guidance once. Entries are popped before they are counted, so a run
+ * that dies halfway loses its batch rather than counting it twice.
+ * @param {Object} [options] - Overrides for the environment settings
+ * @param {number} [options.batchSize] - Entries popped at a time
+ * @param {number} [options.maxBatches] - Batches before stopping
+ * @returns {Promise<Object>} `{ processed, batches, tokens, concepts, evicted, remaining, guidance }`
+ */
+export async function processReactionQueue(options = {}) {
+  const settings = { ...getReactionStatsSettings(), ...options };
+  const result = { processed: 0, batches: 0, tokens: 0, concepts: 0, evicted: 0, remaining: 0, guidance: null };
+
+  while (result.batches < settings.maxBatches) {
+    const entries = await kv.rpop(QUEUE_KEY, settings.batchSize);
+    if (!entries || entries.length === 0) break;
+
+    const totals = aggregate(entries.map(normalizeEntry).filter(Boolean), settings.halfLifeMs);
+    result.tokens += await applyTotals('token', totals.token);
+    result.concepts += await applyTotals('concept', totals.concept);
+    result.processed += entries.length;
+    result.batches++;
+  }
+
+  result.evicted = await evictStats('token', settings.halfLifeMs) + await evictStats('concept', settings.halfLifeMs);
+  result.remaining = await kv.llen(QUEUE_KEY) || 0;
+  if (result.processed > 0 || !(await kv.get(GUIDANCE_CACHE_KEY))) {
+    const guidance = await refreshTokenGuidance();
+    result.guidance = { avoidTokens: guidance.avoidTokens.length, encourageTokens: guidance.encourageTokens.length };
+  }
+
+  log('🧮 Reaction queue drained:', result);
+  return result;
+}
+
+/**
+ * Rebuilds the global token guidance from the decayed token stats and caches it
+ * @returns {Promise<Object>} `{ avoidTokens, encourageTokens, avoidConcepts, encourageConcepts }`
+ */
+export async function refreshTokenGuidance() {
+  const guidance = {
+    avoidTokens: [],
+    encourageTokens: [],
+    avoidConcepts: [],
+    encourageConcepts: []
+  };
+
+  const tokenStats = await getTrackedStats('token');
+  Object.entries(tokenStats).forEach(([token, stats]) => {
+    if (stats.total < MIN_SAMPLES) return;
+    const sentiment = (stats.positive - stats.negative) / stats.total;
+    const confidence = Math.min(stats.total / FULL_CONFIDENCE_SAMPLES, 1);
+    const adjustedSentiment = sentiment * confidence;
+
+    if (adjustedSentiment > GUIDANCE_THRESHOLD) {
+      guidance.encourageTokens.push({ token, weight: adjustedSentiment });
+    } else if (adjustedSentiment < -GUIDANCE_THRESHOLD) {
+      guidance.avoidTokens.push({ token, weight: Math.abs(adjustedSentiment) });
+    }
+  });
+
+  await kv.setex(GUIDANCE_CACHE_KEY, GUIDANCE_CACHE_SECONDS, guidance);
+  return guidance;
+}
+
+/**
+ * Best-received concepts, by sentiment weighted with confidence as for token guidance
+ * @param {number} [limit=5] - Concepts to return
+ * @returns {Promise<Array<{concept: string, sentiment: number, total: number}>>} Concepts, best first
+ */
+export async function getTopConcepts(limit = 5) {
+  const conceptStats = await getTrackedStats('concept');
+  return Object.entries(conceptStats)
+    .filter(([, stats]) => stats.total >= MIN_SAMPLES)
+    .map(([concept, stats]) => ({
+      concept,
+      sentiment: (stats.positive - stats.negative) / stats.total * Math.min(stats.total / FULL_CONFIDENCE_SAMPLES, 1),
+      total: stats.total
+    }))
+    .filter(({ sentiment }) => sentiment > 0)
+    .sort((a, b) => b.sentiment - a.sentiment)
+    .slice(0, limit);
+}
+
+/**
+ * Cached global token guidance, rebuilt when the cache is empty
+ * @returns {Promise<Object>} Guidance
+ */
+export async function getTokenGuidance() {
+  const cached = await kv.get(GUIDANCE_CACHE_KEY);
+  return cached || refreshTokenGuidance();
+}
+
+/**
+ * Converts the JSON stats written before the worker (token_registry, token_stats:{token}
+ * and concept_stats:{concept}) into the hashes and registries, then deletes them.
+ * Each old record's counts are dated at its lastUpdated, so they decay from there.
+ * Safe to run again: converted records are gone.
+ * @param {Object} [options] - Migration options
+ * @param {boolean} [options.dryRun=false] - Count what would be converted without writing
+ * @returns {Promise<{tokens: number, concepts: number, skipped: number, evicted: number}>} Records converted and skipped
+ */
+export async function migrateLegacyStats({ dryRun = false } = {}) {
+  const { halfLifeMs } = getReactionStatsSettings();
+  const result = { tokens: 0, concepts: 0, skipped: 0, evicted: 0 };
+
+  let registry = await kv.get('token_registry');
+  if (typeof registry === 'string') {
+    try {
+      registry = JSON.parse(registry);
+    } catch {
+      registry = [];
+    }
+  }
+  const tokenKeys = new Set([
+    ...(Array.isArray(registry) ? registry : []).map(token => `token_stats:${token}`),
+    ...(await kv.keys('token_stats:*') || [])
+  ]);
+  const conceptKeys = await kv.keys('concept_stats:*') || [];
+
+  const convert = async (kindName, keys, prefix) => {
+    const totals = new Map();
+    for (const key of keys) {
+      const legacy = await kv.get(key);
+      const total = Number(legacy?.total) || 0;
+      if (total <= 0) {
+        result.skipped++;
+        continue;
+      }
+
+      const updatedAt = Date.parse(legacy.lastUpdated);
+      const lastSeen = Number.isNaN(updatedAt) ? Date.now() : Math.min(updatedAt, Date.now());
+      const scale = decayScale(lastSeen, halfLifeMs);
+      const counts = {
+        total: total * scale,
+        positive: (Number(legacy.positive) || 0) * scale,
+        negative: (Number(legacy.negative) || 0) * scale
+      };
+      Object.entries(legacy.reactionTypes || {}).forEach(([type, count]) => {
+        counts[`type:${type}`] = (Number(count) || 0) * scale;
+      });
+      totals.set(key.slice(prefix.length), { lastSeen, counts });
+    }
+
+    result[`${kindName}s`] = totals.size;
+    if (dryRun) return;
+    await applyTotals(kindName, totals);
+    for (const key of keys) {
+      await kv.del(key);
+    }
+  };
+
+  await convert('token', [...tokenKeys], 'token_stats:');
+  await convert('concept', conceptKeys, 'concept_stats:');
+
+  if (!dryRun) {
+    await kv.del('token_registry');
+    result.evicted = await evictStats('token', halfLifeMs) + await evictStats('concept', halfLifeMs);
+    await refreshTokenGuidance();
+  }
+
+  log('📦 Legacy stats migrated:', { dryRun, ...result });
+  return result;
+}
+
+// Entries from before the worker held one token each and were already counted in
+// token_stats:{token}, which migrateLegacyStats imports, so they are dropped
+function normalizeEntry(entry) {
+  if (!entry || typeof entry !== 'object' || !Array.isArray(entry.tokens)) return null;
+  const timestamp = Date.parse(entry.timestamp);
+  return {
+    weight: Number(entry.weight) || 0,
+    reactionType: entry.reactionType,
+    direction: entry.direction === -1 ? -1 : 1,
+    tokens: entry.tokens,
+    concepts: Array.isArray(entry.concepts) ? entry.concepts : [],
+    timestamp: Number.isNaN(timestamp) ? Date.now() : timestamp
+  };
+}
+
+// Sums a batch per token and per concept, each reaction scaled for its age
+function aggregate(entries, halfLifeMs) {
+  const totals = { token: new Map(), concept: new Map() };
+
+  const add = (map, name, entry, withTypes) => {
+    const amount = entry.direction * decayScale(entry.timestamp, halfLifeMs);
+    const fields = map.get(name) || { lastSeen: 0, counts: {} };
+    const count = (field) => { fields.counts[field] = (fields.counts[field] || 0) + amount; };
+
+    count('total');
+    if (entry.weight > 0) count('positive');
+    if (entry.weight < 0) count('negative');
+    if (withTypes && entry.reactionType) count(`type:${entry.reactionType}`);
+    if (entry.direction > 0) fields.lastSeen = Math.max(fields.lastSeen, entry.timestamp);
+    map.set(name, fields);
+  };
+
+  entries.forEach(entry => {
+    new Set(entry.tokens.map(String)).forEach(token => add(totals.token, token, entry, false));
+    new Set(entry.concepts.map(String)).forEach(concept => add(totals.concept, concept, entry, true));
+  });
+  return totals;
+}
+
+async function applyTotals(kindName, totals) {
+  const kind = KINDS[kindName];
+  for (const [name, { lastSeen, counts }] of totals) {
+    const key = kind.key(name);
+    for (const [field, amount] of Object.entries(counts)) {
+      await kv.hincrbyfloat(key, field, amount);
+    }
+    // A batch of removals only, dated at their original reactions, leaves lastSeen alone
+    if (lastSeen > 0) {
+      await kv.hset(key, { lastSeen });
+    }
+    await kv.zincrby(kind.registry, counts.total, name);
+  }
+  return totals.size;
+}
+
+// Drops the tokens or concepts least worth keeping, with their stats
+async function evictStats(kindName, halfLifeMs) {
+  const kind = KINDS[kindName];
+  const scored = await kv.zrange(kind.registry, 0, -1, { withScores: true }) || [];
+  const floor = MIN_RETAINED_SAMPLES * decayScale(Date.now(), halfLifeMs);
+  const count = scored.length / 2;
+
+  const evicted = [];
+  for (let index = 0; index < count; index++) {
+    const name = scored[index * 2];
+    if (index < count - MAX_TRACKED || Number(scored[index * 2 + 1]) < floor) {
+      evicted.push(name);
+    }
+  }
+
+  for (const name of evicted) {
+    await kv.zrem(kind.registry, name);
+    await kv.del(kind.key(name));
+  }
+  if (evicted.length > 0) {
+    log('🗑️ Evicted stats:', { kind: kindName, count: evicted.length });
+  }
+  return evicted.length;
+}
+
+// Stats of every tracked token or concept, decayed to now
+async function getTrackedStats(kindName) {
+  const kind = KINDS[kindName];
+  const names = await kv.zrange(kind.registry, 0, MAX_TRACKED - 1, { rev: true });
+  if (!names || names.length === 0) return {};
+
+  const { halfLifeMs } = getReactionStatsSettings();
+  const scale = decayScale(Date.now(), halfLifeMs);
+  const records = await Promise.all(names.map(name => kv.hgetall(kind.key(name))));
+
+  const stats = {};
+  names.forEach((name, index) => {
+    const record = records[index];
+    if (!record) return;
+    const read = (field) => Math.max(0, (Number(record[field]) || 0) / scale);
+    const total = read('total');
+    if (total > 0) {
+      stats[name] = { positive: read('positive'), negative: read('negative'), total };
+    }
+  });
+  return stats;
+}
+
+function decayScale(time, halfLifeMs) {
+  return Math.pow(2, (time - DECAY_EPOCH) / halfLifeMs);
+}
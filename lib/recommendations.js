@@ -0,0 +1,187 @@
+import { kv } from './redis.js';
+
+const log = (...args) => console.log('[RECOMMENDATIONS]', ...args);
+
+// Redis layout:
+//   user:{userId}:seen   zset   comic id -> last time the user was shown it (ms), the newest MAX_SEEN are kept
+//
+// Also read: comics:recent, comic:{id}, comic:{id}:users, popular:all,
+// user:{userId}:reaction_history and the reaction:{id} records it points to.
+//
+// A comic's score mixes four signals, each from 0 to 1:
+//   content        how much the user liked the tokens and concepts it has, from their past reactions
+//   collaborative  how much readers who liked the same comics liked this one
+//   popular        its all-time confidence score
+//   fresh          its age, halving every FRESH_HALF_LIFE_DAYS
+// A new user has no content or collaborative signal, so they get the popular and
+// newest comics first. Comics the user has seen or reacted to are never recommended.
+const MAX_SEEN = 1000;
+const SEEN_TTL_SECONDS = 86400 * 90;
+const CANDIDATE_SCAN = 300; // Recent comics considered, besides those similar readers liked
+const HISTORY_SCAN = 200; // The user's reactions the profile is built from
+const LIKED_SCAN = 20; // Liked comics whose other readers are looked at
+const MAX_NEIGHBOURS = 30;
+const NEIGHBOUR_HISTORY_SCAN = 50;
+const FRESH_HALF_LIFE_DAYS = 7;
+const WEIGHTS = { content: 0.45, collaborative: 0.3, popular: 0.15, fresh: 0.1 };
+const REASON_THRESHOLD = 0.3; // A signal at least this strong is named as a reason
+
+/**
+ * Records comics as seen by a user, so they are not recommended again
+ * @param {string} userId - User ID
+ * @param {string[]} comicIds - Comics shown
+ * @returns {Promise<number>} Comics recorded
+ */
+export async function markSeen(userId, comicIds) {
+  const key = `user:${userId}:seen`;
+  const now = Date.now();
+  const members = [...new Set(comicIds)].map(comicId => ({ score: now, member: comicId }));
+  if (members.length === 0) return 0;
+
+  await kv.zaddMany(key, members);
+  await kv.zremrangebyrank(key, 0, -(MAX_SEEN + 1));
+  await kv.expire(key, SEEN_TTL_SECONDS);
+  return members.length;
+}
+
+/**
+ * Comics to show a user next, best first
+ * @param {string} userId - User ID
+ * @param {Object} [options] - Recommendation options
+ * @param {number} [options.limit=10] - Comics to return
+ * @param {string[]} [options.exclude] - More comic IDs to leave out, e.g. ones the client already has queued
+ * @returns {Promise<{comics: Object[], recommendations: Object[]}>} Comics, and `{ comicId, score, reasons }` for each
+ */
+export async function getRecommendations(userId, { limit = 10, exclude = [] } = {}) {
+  const reactions = await loadReactions(userId, HISTORY_SCAN);
+  const seen = await kv.zrange(`user:${userId}:seen`, 0, -1) || [];
+  const excluded = new Set([...seen, ...exclude, ...reactions.map(reaction => reaction.comicId)]);
+
+  const profile = buildProfile(reactions);
+  const collaborative = await collaborativeScores(userId, reactions, excluded);
+
+  const recentIds = await kv.lrange('comics:recent', 0, CANDIDATE_SCAN - 1) || [];
+  const candidateIds = [...new Set([...recentIds, ...collaborative.keys()])].filter(id => !excluded.has(id));
+  if (candidateIds.length === 0) return { comics: [], recommendations: [] };
+
+  const [comics, popular] = await Promise.all([
+    kv.mget(candidateIds.map(id => `comic:${id}`)),
+    popularScores()
+  ]);
+
+  const now = Date.now();
+  const ranked = [];
+  comics.forEach(comic => {
+    if (!comic || comic.moderation?.status === 'flagged') return;
+
+    const ageDays = Math.max(0, now - Date.parse(comic.createdAt || comic.timestamp)) / 86400000;
+    const signals = {
+      content: contentScore(comic, profile),
+      collaborative: collaborative.get(comic.id) || 0,
+      popular: popular.get(comic.id) || 0,
+      fresh: Number.isFinite(ageDays) ? Math.pow(0.5, ageDays / FRESH_HALF_LIFE_DAYS) : 0
+    };
+    const score = Object.entries(WEIGHTS).reduce((total, [signal, weight]) => total + signals[signal] * weight, 0);
+    const reasons = Object.keys(WEIGHTS).filter(signal => signals[signal] >= REASON_THRESHOLD);
+    ranked.push({ comic, recommendation: { comicId: comic.id, score: round(score), reasons } });
+  });
+
+  ranked.sort((a, b) => b.recommendation.score - a.recommendation.score);
+  const top = ranked.slice(0, limit);
+
+  log('🧭 Recommended comics:', {
+    userId,
+    reactions: reactions.length,
+    excluded: excluded.size,
+    candidates: ranked.length,
+    collaborative: collaborative.size,
+    returned: top.length
+  });
+  return {
+    comics: top.map(({ comic }) => comic),
+    recommendations: top.map(({ recommendation }) => recommendation)
+  };
+}
+
+// A user's latest reactions, newest first
+async function loadReactions(userId, count) {
+  const ids = await kv.lrange(`user:${userId}:reaction_history`, 0, count - 1);
+  if (!ids || ids.length === 0) return [];
+  const records = await kv.mget(ids.map(id => `reaction:${id}`));
+  return records.filter(reaction => reaction?.comicId);
+}
+
+// Average weight of the reactions to comics with each token and concept, shrunk towards 0 for rare ones
+function buildProfile(reactions) {
+  const sums = { tokens: new Map(), concepts: new Map() };
+  const add = (map, name, weight) => {
+    const entry = map.get(name) || { total: 0, count: 0 };
+    entry.total += weight;
+    entry.count++;
+    map.set(name, entry);
+  };
+
+  reactions.forEach(({ weight, comicTokens = [], semanticConcepts = [] }) => {
+    const value = Number(weight) || 0;
+    new Set(comicTokens.map(normalize)).forEach(token => add(sums.tokens, token, value));
+    new Set(semanticConcepts.map(normalize)).forEach(concept => add(sums.concepts, concept, value));
+  });
+
+  const average = map => new Map([...map].map(([name, { total, count }]) => [name, total / (count + 1)]));
+  return { tokens: average(sums.tokens), concepts: average(sums.concepts) };
+}
+
+// 0-1 from the user's affinity for the comic's tokens and concepts; concepts count double
+function contentScore(comic, profile) {
+  const affinity = (names, map) => {
+    const list = [...new Set((names || []).map(normalize))];
+    if (list.length === 0) return 0;
+    return list.reduce((total, name) => total + (map.get(name) || 0), 0) / Math.sqrt(list.length);
+  };
+  const raw = affinity(comic.tokens, profile.tokens) + affinity(comic.concepts, profile.concepts) * 2;
+  return Math.max(0, Math.tanh(raw / 2));
+}
+
+// Comics liked by readers who liked the same comics as the user, scored 0-1
+async function collaborativeScores(userId, reactions, excluded) {
+  const liked = [...new Set(reactions.filter(reaction => reaction.weight > 0).map(reaction => reaction.comicId))]
+    .slice(0, LIKED_SCAN);
+  if (liked.length === 0) return new Map();
+
+  // Readers who reacted to more of the user's liked comics count for more
+  const neighbours = new Map();
+  for (const comicId of liked) {
+    const users = await kv.smembers(`comic:${comicId}:users`) || [];
+    users.filter(id => id !== userId).forEach(id => neighbours.set(id, (neighbours.get(id) || 0) + 1));
+  }
+  const closest = [...neighbours].sort((a, b) => b[1] - a[1]).slice(0, MAX_NEIGHBOURS);
+
+  const scores = new Map();
+  for (const [neighbourId, overlap] of closest) {
+    const theirReactions = await loadReactions(neighbourId, NEIGHBOUR_HISTORY_SCAN);
+    theirReactions.forEach(({ comicId, weight }) => {
+      if (!(weight > 0) || excluded.has(comicId)) return;
+      scores.set(comicId, (scores.get(comicId) || 0) + overlap * weight);
+    });
+  }
+
+  const best = Math.max(0, ...scores.values());
+  return new Map([...scores].map(([comicId, score]) => [comicId, best > 0 ? score / best : 0]));
+}
+
+async function popularScores() {
+  const scored = await kv.zrange('popular:all', 0, -1, { withScores: true }) || [];
+  const scores = new Map();
+  for (let index = 0; index < scored.length; index += 2) {
+    scores.set(scored[index], Number(scored[index + 1]) || 0);
+  }
+  return scores;
+}
+
+function normalize(name) {
+  return String(name).toLowerCase();
+}
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
@@ -25,8 +25,13 @@ export class RedisKV {
     return await redis.hget(key, field);
   }
 
-  async hset(key, field, value) {
-    return await redis.hset(key, field, value);
+  // Sets several fields at once: hset(key, { field: value, ... })
+  async hset(key, fields) {
+    return await redis.hset(key, fields);
+  }
+
+  async hdel(key, ...fields) {
+    return await redis.hdel(key, ...fields);
   }
 
   async hgetall(key) {
@@ -54,20 +59,59 @@ export class RedisKV {
     return await redis.ltrim(key, start, stop);
   }
 
+  // Removes and returns up to `count` items from the tail, oldest first for lists filled with lpush
+  async rpop(key, count) {
+    return await redis.rpop(key, count);
+  }
+
+  async llen(key) {
+    return await redis.llen(key);
+  }
+
   // Set operations
   async sadd(key, ...members) {
     return await redis.sadd(key, ...members);
   }
 
-  // Sorted set operations
+  async srem(key, ...members) {
+    return await redis.srem(key, ...members);
+  }
+
+  async smembers(key) {
+    return await redis.smembers(key);
+  }
+
+  // Sorted set operations; Upstash takes the score and member as one object
   async zadd(key, score, member) {
-    return await redis.zadd(key, score, member);
+    return await redis.zadd(key, { score, member });
+  }
+
+  // Adds several members in one call: zaddMany(key, [{ score, member }, ...])
+  async zaddMany(key, members) {
+    return await redis.zadd(key, ...members);
+  }
+
+  async zincrby(key, increment, member) {
+    return await redis.zincrby(key, increment, member);
+  }
+
+  async zrem(key, ...members) {
+    return await redis.zrem(key, ...members);
+  }
+
+  async zcard(key) {
+    return await redis.zcard(key);
   }
 
   async zremrangebyrank(key, start, stop) {
     return await redis.zremrangebyrank(key, start, stop);
   }
 
+  // Range by rank; pass { rev: true } for highest scores first
+  async zrange(key, start, stop, options = {}) {
+    return await redis.zrange(key, start, stop, options);
+  }
+
   // Expiration
   async expire(key, seconds) {
     return await redis.expire(key, seconds);
@@ -102,6 +146,11 @@ export class RedisKV {
   async scard(key) {
     return await redis.scard(key);
   }
+
+  // Run a Lua script atomically: eval(script, [keys], [args])
+  async eval(script, keys, args) {
+    return await redis.eval(script, keys, args);
+  }
 }
 
 // Export singleton instance
@@ -0,0 +1,240 @@
+// Deterministic parser for the strict script format produced by
+// generateComicScript:
+//
+//   Title: The Yard Sale Incident
+//
+//   Saturday morning, neighborhood yard sale
+//   Characters: Alex (😊), Sam (🤔)
+//   Alex: "I brought exact change and zero self-control."
+//   Sam thinks: "Everything. Ideally in a hilarious way."
+//
+// Produces the same { title, panels: [{ header, characters, dialogue }] }
+// structure the LLM formatter returns, or throws a ScriptParseError listing
+// every problem so the caller can fall back to the model.
+
+const DEFAULT_EMOJI = '😊';
+const NARRATOR_NAMES = ['narrator', 'narration', 'caption'];
+
+const TITLE_LINE = /^title\s*:\s*(.+)$/i;
+const CHARACTERS_LINE = /^(?:characters|cast)\s*:\s*(.*)$/i;
+const PANEL_LABEL = /^(?:panel|scene)\s*\d+\s*(?:[:.\-–—]\s*(.*))?$/i;
+const DIALOGUE_LINE = /^([\p{L}][\p{L}\p{N} .'’-]{0,39}?)\s*(?:\(([^)]*)\))?(\s+thinks)?\s*:\s*(.+)$/u;
+const CAST_ENTRY = /^(.+?)\s*\(([^)]*)\)\s*$/;
+const STAGE_DIRECTION = /^[([].*[)\]]$/;
+
+export class ScriptParseError extends Error {
+  constructor(problems) {
+    super(`Script does not match the expected format: ${problems.join('; ')}`);
+    this.name = 'ScriptParseError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Parses a strict-format comic script into panels, characters and dialogue
+ * @param {string} script - Script text from the script generation step
+ * @returns {Object} Comic data: { title, panels }
+ * @throws {ScriptParseError} When the script cannot be parsed unambiguously
+ */
+export function parseComicScript(script) {
+  if (typeof script !== 'string' || !script.trim()) {
+    throw new ScriptParseError(['script is empty']);
+  }
+
+  const problems = [];
+  const cast = new Map(); // name -> emoji, across the whole comic
+  const panels = [];
+  let title = null;
+  let panel = null;
+
+  const lines = script.replace(/\r\n?/g, '\n').split('\n');
+
+  lines.forEach((rawLine, index) => {
+    const line = cleanLine(rawLine);
+    if (!line || STAGE_DIRECTION.test(line) || /^[-=*_]{3,}$/.test(line)) return;
+
+    const lineNo = index + 1;
+    let match;
+
+    if (!title && !panels.length && (match = line.match(TITLE_LINE))) {
+      title = stripQuotes(match[1]);
+      return;
+    }
+
+    if ((match = line.match(PANEL_LABEL))) {
+      // "Panel 2" on its own only separates panels; "Panel 2: Monday noon" carries the header
+      panel = startPanel(panels, match[1] ? match[1].trim() : null);
+      return;
+    }
+
+    if ((match = line.match(CHARACTERS_LINE))) {
+      if (!panel) {
+        problems.push(`line ${lineNo}: characters listed before any panel header`);
+        return;
+      }
+      parseCast(match[1]).forEach(({ name, emoji }) => {
+        const knownEmoji = emoji || cast.get(name) || DEFAULT_EMOJI;
+        if (!cast.has(name) || emoji) cast.set(name, knownEmoji);
+        addCharacter(panel, name, knownEmoji);
+      });
+      return;
+    }
+
+    const dialogue = parseDialogue(line, panel, cast);
+    if (dialogue) {
+      if (!panel) {
+        problems.push(`line ${lineNo}: dialogue before any panel header`);
+        return;
+      }
+      if (dialogue.type !== 'narration' && !panel.characters.some(c => c.name === dialogue.speaker)) {
+        if (!dialogue.emoji && !cast.has(dialogue.speaker)) {
+          problems.push(`line ${lineNo}: "${dialogue.speaker}" speaks without being introduced`);
+          return;
+        }
+        addCharacter(panel, dialogue.speaker, dialogue.emoji || cast.get(dialogue.speaker));
+      }
+      if (dialogue.emoji && !cast.has(dialogue.speaker)) cast.set(dialogue.speaker, dialogue.emoji);
+      panel.dialogue.push(toDialogueEntry(dialogue));
+      return;
+    }
+
+    // Anything else is the time/location header of a new panel
+    if (panel && !panel.header && !panel.characters.length && !panel.dialogue.length) {
+      panel.header = line;
+    } else {
+      panel = startPanel(panels, line);
+    }
+  });
+
+  const filled = panels.filter(p => p.header || p.characters.length || p.dialogue.length);
+
+  if (!title) problems.push('missing "Title:" line');
+  if (!filled.length) problems.push('no panels found');
+
+  filled.forEach((p, index) => {
+    if (!p.header) problems.push(`panel ${index + 1}: missing time/location header`);
+    if (!p.dialogue.length) problems.push(`panel ${index + 1}: no dialogue`);
+    if (!p.characters.length && p.dialogue.some(d => d.type !== 'narration')) {
+      problems.push(`panel ${index + 1}: no characters`);
+    }
+  });
+
+  if (problems.length) {
+    throw new ScriptParseError(problems);
+  }
+
+  return {
+    title,
+    panels: filled.map(p => ({
+      header: p.header,
+      characters: p.characters.map(c => ({
+        ...c,
+        effect: effectFor(c.name, p.dialogue)
+      })),
+      dialogue: p.dialogue
+    }))
+  };
+}
+
+function startPanel(panels, header) {
+  const panel = { header, characters: [], dialogue: [] };
+  panels.push(panel);
+  return panel;
+}
+
+function addCharacter(panel, name, emoji) {
+  if (!panel.characters.some(c => c.name === name)) {
+    panel.characters.push({ name, emoji, style: panel.characters.length + 1 });
+  }
+}
+
+// Drops markdown emphasis, headings and list markers the model sometimes adds
+function cleanLine(line) {
+  return line
+    .trim()
+    .replace(/^#{1,6}\s+/, '')
+    .replace(/^[-•]\s+/, '')
+    .replace(/\*\*(.+?)\*\*/g, '$1')
+    .replace(/__(.+?)__/g, '$1')
+    .trim();
+}
+
+function stripQuotes(text) {
+  return text.trim().replace(/^["“”'‘’]+|["“”'‘’]+$/g, '').trim();
+}
+
+// "Priya (🧑‍💻), Dev (🤖)" -> [{ name, emoji }], ignoring commas inside parentheses
+function parseCast(list) {
+  const entries = [];
+  let depth = 0;
+  let current = '';
+  for (const char of list) {
+    if (char === '(') depth++;
+    if (char === ')') depth = Math.max(0, depth - 1);
+    if ((char === ',' || char === ';') && depth === 0) {
+      entries.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  entries.push(current);
+
+  return entries
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const match = entry.match(CAST_ENTRY);
+      return match
+        ? { name: match[1].trim(), emoji: match[2].trim() || null }
+        : { name: entry, emoji: null };
+    });
+}
+
+// Recognizes `Name: "line"`, `Name thinks: "line"` and `Narrator: "line"`.
+// Unquoted text only counts as dialogue for known characters, so headers such
+// as "Later: the parking lot" are not mistaken for speech.
+function parseDialogue(line, panel, cast) {
+  const match = line.match(DIALOGUE_LINE);
+  if (!match) return null;
+
+  const speaker = match[1].trim();
+  const rawText = match[4].trim();
+  const quoted = /^["“'‘]/.test(rawText);
+  const known = cast.has(speaker) || panel?.characters.some(c => c.name === speaker);
+  const narration = NARRATOR_NAMES.includes(speaker.toLowerCase());
+
+  if (!quoted && !known && !narration) return null;
+
+  return {
+    speaker,
+    emoji: match[2]?.trim() || null,
+    text: stripQuotes(rawText),
+    type: narration ? 'narration' : match[3] ? 'thought' : 'speech'
+  };
+}
+
+function toDialogueEntry({ speaker, text, type }) {
+  return type === 'narration'
+    ? { text, type, style: 'normal' }
+    : { text, speaker, type, style: toneOf(text) };
+}
+
+// Bubble style from punctuation and shouting
+function toneOf(text) {
+  const letters = text.replace(/[^\p{L}]/gu, '');
+  if (letters.length >= 4 && letters === letters.toUpperCase() && letters !== letters.toLowerCase()) {
+    return 'angry';
+  }
+  if (/!\s*$/.test(text)) return 'excited';
+  if (/\.\.\.\s*$|…\s*$/.test(text)) return 'sad';
+  return 'normal';
+}
+
+// Characters shake when they shout and bounce when excited
+function effectFor(name, dialogue) {
+  const styles = dialogue.filter(d => d.speaker === name).map(d => d.style);
+  if (styles.includes('angry')) return 'shake';
+  if (styles.includes('excited')) return 'bounce';
+  return null;
+}
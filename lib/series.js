@@ -0,0 +1,148 @@
+import { kv } from './redis.js';
+
+const log = (...args) => console.log('[SERIES]', ...args);
+
+// Redis layout:
+//   series:recent   zset   series id -> last update time (ms)
+//   series:{id}     JSON   title, running summary, previous punchline, episodes written so far (episodeCount)
+//                          and the latest MAX_EPISODES episodes with their numbers
+//
+// Episodes keep their comic's title so the episode list survives comics expiring. Episode
+// numbers come from episodeCount rather than list positions, so they stay put once older
+// episodes are dropped from the list.
+const RECENT_KEY = 'series:recent';
+
+export const SERIES_LIMITS = {
+  SUMMARY_MAX_LENGTH: 1200,
+  MAX_EPISODES: 100
+};
+
+/**
+ * New series ID from a title ("Kitchen Chronicles" -> "kitchen-chronicles-x7k2")
+ * @param {string} title - Series title
+ * @returns {string} Series ID
+ */
+export function newSeriesId(title) {
+  const slug = String(title || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, '')
+    .replace(/\s+/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '')
+    .slice(0, 60);
+  const suffix = Math.random().toString(36).slice(2, 6);
+  return slug ? `${slug}-${suffix}` : `series-${Date.now().toString(36)}-${suffix}`;
+}
+
+/**
+ * Loads a series
+ * @param {string} id - Series ID
+ * @returns {Promise<Object|null>} Series or null if unknown
+ */
+export async function getSeries(id) {
+  if (!id) return null;
+  const series = await kv.get(`series:${id}`);
+  return series && withEpisodeNumbers(series);
+}
+
+/**
+ * Lists series, most recently continued first
+ * @param {Object} [options] - Listing options
+ * @param {number} [options.limit=20] - Maximum series to return
+ * @returns {Promise<Object[]>} Series without their summaries
+ */
+export async function listSeries({ limit = 20 } = {}) {
+  const ids = await kv.zrange(RECENT_KEY, 0, limit - 1, { rev: true });
+  if (!ids || ids.length === 0) return [];
+
+  const series = await kv.mget(ids.map(id => `series:${id}`));
+  return series.filter(Boolean).map(withEpisodeNumbers).map(({ id, title, episodeCount, updatedAt }) => ({
+    id,
+    title,
+    episodeCount,
+    updatedAt
+  }));
+}
+
+/**
+ * What the script writer needs to know to continue a series
+ * @param {Object} series - Stored series, or `{ id, title }` for a series that starts with this episode
+ * @returns {Object} Series ID, title, next episode number, story summary and previous punchline
+ */
+export function getSeriesContext(series) {
+  return {
+    id: series.id,
+    title: series.title,
+    episode: (series.episodeCount || 0) + 1,
+    summary: series.summary || '',
+    previousPunchline: series.lastPunchline || null
+  };
+}
+
+/**
+ * The line a comic ends on: the last dialogue of its last panel
+ * @param {Object} comic - Comic
+ * @returns {string|null} Punchline text
+ */
+export function getPunchline(comic) {
+  const lastPanel = comic.panels?.[comic.panels.length - 1];
+  const lastLine = lastPanel?.dialogue?.[lastPanel.dialogue.length - 1];
+  if (!lastLine) return null;
+  return lastLine.speaker ? `${lastLine.speaker}: ${lastLine.text}` : lastLine.text;
+}
+
+/**
+ * Adds a saved comic as the next episode, creating the series for its first episode
+ * @param {Object} context - Series context the comic was written with
+ * @param {Object} comic - Saved comic
+ * @param {string} summary - Story summary including this episode
+ * @returns {Promise<Object>} Updated series
+ */
+export async function appendEpisode(context, comic, summary) {
+  const now = new Date().toISOString();
+  const series = (await getSeries(context.id)) || {
+    id: context.id,
+    title: context.title,
+    summary: '',
+    episodes: [],
+    episodeCount: 0,
+    createdAt: now
+  };
+
+  // The comic already carries the number it was written as
+  if (!series.episodes.some(episode => episode.comicId === comic.id)) {
+    series.episodes.push({ episode: context.episode, comicId: comic.id, title: comic.title, createdAt: comic.createdAt || now });
+    series.episodeCount = Math.max(series.episodeCount, context.episode);
+  }
+  series.episodes = series.episodes.slice(-SERIES_LIMITS.MAX_EPISODES);
+  series.summary = String(summary || series.summary).slice(0, SERIES_LIMITS.SUMMARY_MAX_LENGTH);
+  series.lastPunchline = getPunchline(comic);
+  series.updatedAt = now;
+
+  await kv.set(`series:${series.id}`, series);
+  await kv.zadd(RECENT_KEY, Date.now(), series.id);
+  log('📚 Episode added:', { seriesId: series.id, comicId: comic.id, episode: context.episode });
+  return series;
+}
+
+// Series saved before episodeCount was kept never dropped an episode, so their list positions are their numbers
+function withEpisodeNumbers(series) {
+  const episodes = series.episodes.map((episode, index) => ({ ...episode, episode: episode.episode ?? index + 1 }));
+  return { ...series, episodes, episodeCount: series.episodeCount ?? episodes.length };
+}
+
+/**
+ * Summary used when the model cannot write one: the previous summary plus this episode's title and punchline
+ * @param {string} previousSummary - Story so far
+ * @param {Object} comic - New episode
+ * @param {number} episode - Episode number
+ * @returns {string} Summary, trimmed from the start to fit the limit
+ */
+export function fallbackSeriesSummary(previousSummary, comic, episode) {
+  const punchline = getPunchline(comic);
+  const line = `Episode ${episode}, "${comic.title}"${punchline ? `, ends with ${punchline}` : ''}.`;
+  const summary = previousSummary ? `${previousSummary} ${line}` : line;
+  return summary.length > SERIES_LIMITS.SUMMARY_MAX_LENGTH
+    ? summary.slice(summary.length - SERIES_LIMITS.SUMMARY_MAX_LENGTH)
+    : summary;
+}
@@ -0,0 +1,43 @@
+/**
+ * Checks whether the client asked for a Server-Sent Events response
+ * @param {Object} req - HTTP request object
+ * @returns {boolean} True for `Accept: text/event-stream` or `?stream=1`
+ */
+export function wantsEventStream(req) {
+  const accept = req.headers?.accept || '';
+  return accept.includes('text/event-stream') || req.query?.stream === '1';
+}
+
+/**
+ * Starts a Server-Sent Events response
+ * @param {Object} res - HTTP response object
+ * @returns {{send: Function, close: Function}} Writer for named events with JSON data
+ */
+export function openEventStream(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders?.();
+
+  let closed = false;
+
+  // Client went away (e.g. page reload); keep working but stop writing
+  res.on?.('close', () => {
+    closed = true;
+  });
+
+  return {
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    close() {
+      if (closed) return;
+      closed = true;
+      res.end();
+    }
+  };
+}
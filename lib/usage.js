@@ -0,0 +1,244 @@
+import { kv } from './redis.js';
+import { REASONING_EFFORTS } from './llm.js';
+
+const log = (...args) => console.log('[USAGE]', ...args);
+
+// Redis layout:
+//   usage:day:{date}              hash   deployment totals for a UTC day: token counts, calls, comics, costUsd and cost:{model}
+//   user:{userId}:usage:{date}    hash   the same totals for one user
+//   comic:{comicId}:usage         JSON   usage and estimated cost of the generation that produced a comic
+const USAGE_TTL_SECONDS = 86400 * 90; // Daily totals are kept for 90 days
+const COMIC_USAGE_TTL_SECONDS = 86400 * 30; // Same lifetime as the comic itself
+const TOKEN_FIELDS = ['inputTokens', 'outputTokens', 'reasoningTokens', 'totalTokens'];
+
+// USD per million tokens. Reasoning tokens are billed as output and are already
+// included in outputTokens. Dated snapshots ("gpt-5-mini-2025-08-07") match by prefix.
+// Override or extend with LLM_PRICES='{"my-model": {"input": 0.5, "output": 1.5}}'.
+// Models without a price (fixtures, local servers) cost nothing.
+export const MODEL_PRICES = {
+  'gpt-5': { input: 1.25, output: 10 },
+  'gpt-5-chat-latest': { input: 1.25, output: 10 },
+  'gpt-5-mini': { input: 0.25, output: 2 },
+  'gpt-5-nano': { input: 0.05, output: 0.4 },
+  'text-embedding-3-small': { input: 0.02, output: 0 },
+  'text-embedding-3-large': { input: 0.13, output: 0 }
+};
+
+/**
+ * Price of a model, from LLM_PRICES or MODEL_PRICES
+ * @param {string} model - Model name as reported by the provider
+ * @returns {{input: number, output: number}|null} USD per million tokens, or null if unpriced
+ */
+export function getModelPrice(model) {
+  let prices = MODEL_PRICES;
+  if (process.env.LLM_PRICES) {
+    try {
+      prices = { ...MODEL_PRICES, ...JSON.parse(process.env.LLM_PRICES) };
+    } catch (error) {
+      log('⚠️ Ignoring invalid LLM_PRICES:', error.message);
+    }
+  }
+
+  const name = String(model || '');
+  const match = Object.keys(prices)
+    .sort((a, b) => b.length - a.length)
+    .find(key => name === key || name.startsWith(`${key}-`));
+  return match ? prices[match] : null;
+}
+
+/**
+ * Estimated cost of one call
+ * @param {string} model - Model name
+ * @param {Object} usage - Token usage from completeStep
+ * @returns {number} USD
+ */
+export function estimateCost(model, usage = {}) {
+  const price = getModelPrice(model);
+  if (!price) return 0;
+  const cost = ((Number(usage.inputTokens) || 0) * price.input + (Number(usage.outputTokens) || 0) * price.output) / 1e6;
+  return roundUsd(cost);
+}
+
+/**
+ * Adds up the usage and estimated cost of a generation's LLM calls
+ * @param {Object[]} calls - Calls from a provenance record
+ * @returns {Object} Token totals, `calls`, `costUsd` and per-step and per-model breakdowns
+ */
+export function summarizeUsage(calls = []) {
+  const summary = { calls: calls.length, costUsd: 0, byStep: {}, byModel: {} };
+  TOKEN_FIELDS.forEach(field => { summary[field] = 0; });
+
+  calls.forEach(call => {
+    const cost = estimateCost(call.model, call.usage);
+    const tokens = Number(call.usage?.totalTokens) || 0;
+    TOKEN_FIELDS.forEach(field => { summary[field] += Number(call.usage?.[field]) || 0; });
+    summary.costUsd += cost;
+
+    [[summary.byStep, call.step], [summary.byModel, call.model]].forEach(([breakdown, key]) => {
+      breakdown[key] = breakdown[key] || { calls: 0, totalTokens: 0, costUsd: 0 };
+      breakdown[key].calls += 1;
+      breakdown[key].totalTokens += tokens;
+      breakdown[key].costUsd = roundUsd(breakdown[key].costUsd + cost);
+    });
+  });
+
+  summary.costUsd = roundUsd(summary.costUsd);
+  return summary;
+}
+
+/**
+ * Adds a generation's usage to today's deployment and user totals, and to the comic it produced
+ * @param {Object} summary - Result of summarizeUsage
+ * @param {Object} target - Who to charge
+ * @param {string} [target.userId] - User who requested the generation
+ * @param {string} [target.comicId] - Comic produced, if the generation succeeded
+ * @param {Object} [target.budget] - Budget check the generation ran under
+ * @returns {Promise<void>}
+ */
+export async function recordUsage(summary, { userId, comicId, budget } = {}) {
+  const date = today();
+  const keys = [`usage:day:${date}`, `user:${userId || 'anonymous'}:usage:${date}`];
+
+  for (const key of keys) {
+    for (const field of [...TOKEN_FIELDS, 'calls']) {
+      if (summary[field]) await kv.hincrby(key, field, summary[field]);
+    }
+    if (summary.costUsd) await kv.hincrbyfloat(key, 'costUsd', summary.costUsd);
+    if (comicId) await kv.hincrby(key, 'comics', 1);
+    await kv.expire(key, USAGE_TTL_SECONDS);
+  }
+
+  for (const [model, { costUsd }] of Object.entries(summary.byModel)) {
+    if (costUsd) await kv.hincrbyfloat(keys[0], `cost:${model}`, costUsd);
+  }
+
+  if (comicId) {
+    await kv.set(`comic:${comicId}:usage`, {
+      ...summary,
+      userId: userId || 'anonymous',
+      ...(budget && budget.status !== 'ok' && { budget }),
+      recordedAt: new Date().toISOString()
+    }, { ex: COMIC_USAGE_TTL_SECONDS });
+  }
+
+  log('💰 Usage recorded:', { userId: userId || 'anonymous', comicId, totalTokens: summary.totalTokens, costUsd: summary.costUsd });
+}
+
+/**
+ * Daily budgets from the environment. A budget of 0 (the default) is unlimited.
+ *   DAILY_BUDGET_USD         - whole deployment, per UTC day
+ *   USER_DAILY_BUDGET_USD    - each user, per UTC day
+ *   BUDGET_EXCEEDED_ACTION   - "downgrade" (default) or "refuse"
+ *   BUDGET_REASONING_EFFORT  - script reasoning effort once downgraded (default "low")
+ * @returns {Object} Budget settings
+ */
+export function getBudgets() {
+  const usd = (value) => {
+    const amount = Number.parseFloat(value || '0');
+    return Number.isFinite(amount) && amount > 0 ? amount : 0;
+  };
+  return {
+    dailyUsd: usd(process.env.DAILY_BUDGET_USD),
+    userDailyUsd: usd(process.env.USER_DAILY_BUDGET_USD),
+    action: process.env.BUDGET_EXCEEDED_ACTION === 'refuse' ? 'refuse' : 'downgrade',
+    reasoningEffort: REASONING_EFFORTS.includes(process.env.BUDGET_REASONING_EFFORT) ? process.env.BUDGET_REASONING_EFFORT : 'low'
+  };
+}
+
+/**
+ * Checks today's spend against the budgets before a generation starts.
+ * Spend is recorded when a generation finishes, so concurrent generations can overshoot slightly.
+ * @param {string} [userId] - User requesting a comic
+ * @returns {Promise<Object>} `{ status: 'ok' }`, or `{ status: 'downgrade'|'refuse', scope, spentUsd, limitUsd, reasoningEffort, resetsAt }`
+ */
+export async function checkBudget(userId) {
+  const budgets = getBudgets();
+  if (!budgets.dailyUsd && !budgets.userDailyUsd) {
+    return { status: 'ok' };
+  }
+
+  const date = today();
+  const [globalSpent, userSpent] = await Promise.all([
+    budgets.dailyUsd ? kv.hget(`usage:day:${date}`, 'costUsd') : null,
+    budgets.userDailyUsd ? kv.hget(`user:${userId || 'anonymous'}:usage:${date}`, 'costUsd') : null
+  ]);
+
+  const exceeded = [
+    { scope: 'global', spentUsd: Number(globalSpent) || 0, limitUsd: budgets.dailyUsd },
+    { scope: 'user', spentUsd: Number(userSpent) || 0, limitUsd: budgets.userDailyUsd }
+  ].find(({ spentUsd, limitUsd }) => limitUsd && spentUsd >= limitUsd);
+
+  if (!exceeded) {
+    return { status: 'ok' };
+  }
+
+  log('💸 Over budget:', { userId, ...exceeded, action: budgets.action });
+  return {
+    status: budgets.action,
+    ...exceeded,
+    spentUsd: roundUsd(exceeded.spentUsd),
+    reasoningEffort: budgets.reasoningEffort,
+    resetsAt: nextDayStart().toISOString()
+  };
+}
+
+/**
+ * Daily usage for the deployment and, optionally, one user
+ * @param {Object} [options] - Report options
+ * @param {string} [options.userId] - Include this user's usage
+ * @param {number} [options.days=7] - Days to report, newest first
+ * @returns {Promise<Object>} `{ global: { days, totals }, user?: { days, totals } }`
+ */
+export async function getUsageReport({ userId, days = 7 } = {}) {
+  const dates = Array.from({ length: days }, (_, index) => today(new Date(Date.now() - index * 86400000)));
+  const load = async (keyFor) => {
+    const rows = await Promise.all(dates.map(async date => ({ date, ...parseTotals(await kv.hgetall(keyFor(date))) })));
+    const totals = parseTotals({});
+    rows.forEach(row => {
+      [...TOKEN_FIELDS, 'calls', 'comics'].forEach(field => { totals[field] += row[field]; });
+      totals.costUsd = roundUsd(totals.costUsd + row.costUsd);
+    });
+    return { days: rows, totals };
+  };
+
+  return {
+    global: await load(date => `usage:day:${date}`),
+    ...(userId && { user: await load(date => `user:${userId}:usage:${date}`) })
+  };
+}
+
+/**
+ * Usage and cost of the generation that produced a comic
+ * @param {string} comicId - Comic ID
+ * @returns {Promise<Object|null>} Usage summary or null
+ */
+export async function getComicUsage(comicId) {
+  return await kv.get(`comic:${comicId}:usage`);
+}
+
+function parseTotals(hash) {
+  const totals = {};
+  [...TOKEN_FIELDS, 'calls', 'comics'].forEach(field => { totals[field] = Number(hash?.[field]) || 0; });
+  totals.costUsd = roundUsd(Number(hash?.costUsd) || 0);
+
+  const costByModel = {};
+  Object.entries(hash || {}).forEach(([field, value]) => {
+    if (field.startsWith('cost:')) costByModel[field.slice(5)] = roundUsd(Number(value) || 0);
+  });
+  if (Object.keys(costByModel).length > 0) totals.costByModel = costByModel;
+  return totals;
+}
+
+function today(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+function nextDayStart() {
+  const date = new Date();
+  date.setUTCHours(24, 0, 0, 0);
+  return date;
+}
+
+function roundUsd(amount) {
+  return Math.round(amount * 1e6) / 1e6;
+}
@@ -1,4 +1,5 @@
 import { CONFIG } from './config.js';
+import { REACTION_TYPES, isReactionType } from './reactions-registry.js';
 
 /**
  * API client for communicating with Vercel Functions and backend endpoints for comics.
@@ -46,7 +47,9 @@ class ComicAPI {
                 try {
                     errorDetails = await response.json();
                 } catch (e) {}
-                const error = new Error(`HTTP error! status: ${response.status}`);
+                const error = response.status === 429
+                    ? this.createRateLimitError(response, errorDetails)
+                    : new Error(errorDetails.error || `HTTP error! status: ${response.status}`);
                 error.status = response.status;
                 error.details = errorDetails;
                 throw error;
@@ -59,36 +62,243 @@ class ComicAPI {
     }
 
     /**
-     * Generate a new comic.
+     * Build the error for a 429 response, telling the user how long to wait.
+     * @param {Response} response - The rejected response.
+     * @param {object} [errorDetails={}] - Parsed error body.
+     * @returns {Error} Error with `status` 429 and `retryAfter` in seconds.
+     */
+    createRateLimitError(response, errorDetails = {}) {
+        const retryAfter = Number(response.headers.get('Retry-After')) || errorDetails.retryAfterSeconds || null;
+        let message = errorDetails.error || CONFIG.ERRORS.RATE_LIMITED;
+        if (retryAfter) {
+            const wait = retryAfter >= 120 ? `${Math.ceil(retryAfter / 60)} minutes` : `${retryAfter} seconds`;
+            message = `${message} (try again in ${wait})`;
+        }
+        const error = new Error(message);
+        error.status = 429;
+        error.retryAfter = retryAfter;
+        return error;
+    }
+
+    /**
+     * Build the request body sent to the generate-comic endpoint.
+     * @param {object} [preferences={}] - User preferences for generation, including the
+     *   humorLevel, panelCount and styleRefs generation settings.
+     * @param {object|null} [direction=null] - Optional topic, setting, cast and style references.
+     * @param {object|null} [series=null] - Series to continue (`{ id }`) or start (`{ title }`).
+     * @returns {object} Request body.
+     */
+    buildGenerationRequest(preferences = {}, direction = null, series = null) {
+        return {
+            userId: this.userId,
+            preferences: preferences,
+            ...(direction && { direction }),
+            ...(series && { series }),
+            tokenGuidance: {
+                tokenWeights: preferences.tokenWeights || {},
+                conceptWeights: preferences.conceptWeights || {},
+                avoidTokens: preferences.avoidTokens || [],
+                encourageTokens: preferences.encourageTokens || [],
+                avoidConcepts: preferences.avoidConcepts || [],
+                encourageConcepts: preferences.encourageConcepts || [],
+                feedbackWeights: preferences.reactionWeights || {},
+                ...(preferences.humorLevel !== undefined && { humorLevel: preferences.humorLevel }),
+                ...(preferences.panelCount !== undefined && { panelCount: preferences.panelCount }),
+                ...(preferences.styleRefs && { styleRefs: preferences.styleRefs })
+            },
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Generate a new comic, waiting for its background job to finish.
+     * @param {object} [preferences={}] - User preferences for generation.
+     * @param {function(object): void} [onUpdate] - Called with each job status while waiting.
+     * @param {object|null} [direction=null] - Optional topic, setting, cast and style references.
+     * @param {object|null} [series=null] - Series to continue (`{ id }`) or start (`{ title }`).
+     * @returns {Promise<object>} The generated comic.
+     */
+    async generateComic(preferences = {}, onUpdate = () => {}, direction = null, series = null) {
+        try {
+            const jobId = await this.startComicJob(preferences, direction, series);
+            return await this.waitForJob(jobId, onUpdate);
+        } catch (error) {
+            // Rejected requests and failed jobs keep the server's reason, as with streaming
+            if ([400, 404, 429].includes(error.status) || error.jobFailed) {
+                throw error;
+            }
+            throw new Error(CONFIG.ERRORS.GENERATION_FAILED);
+        }
+    }
+
+    /**
+     * Start a background generation job.
+     * @param {object} [preferences={}] - User preferences for generation.
+     * @param {object|null} [direction=null] - Optional topic, setting, cast and style references.
+     * @param {object|null} [series=null] - Series to continue (`{ id }`) or start (`{ title }`).
+     * @returns {Promise<string>} The job ID.
+     */
+    async startComicJob(preferences = {}, direction = null, series = null) {
+        const data = await this.fetchAPI('generate-comic', {
+            method: 'POST',
+            body: JSON.stringify(this.buildGenerationRequest(preferences, direction, series))
+        });
+        if (!data.success || !data.jobId) {
+            throw new Error(data.error || CONFIG.ERRORS.GENERATION_FAILED);
+        }
+        return data.jobId;
+    }
+
+    /**
+     * Get the status of a generation job.
+     * @param {string} jobId - Job ID.
+     * @returns {Promise<{job: object, comic: object|undefined}>} Job status and, once done, the comic.
+     */
+    async getJob(jobId) {
+        const data = await this.fetchAPI(`get-job?id=${encodeURIComponent(jobId)}`);
+        if (!data.success || !data.job) {
+            throw new Error(data.error || 'Job not found');
+        }
+        return { job: data.job, comic: data.comic };
+    }
+
+    /**
+     * Poll a generation job until it finishes.
+     * @param {string} jobId - Job ID.
+     * @param {function(object): void} [onUpdate] - Called with each job status.
+     * @returns {Promise<object>} The generated comic.
+     */
+    async waitForJob(jobId, onUpdate = () => {}) {
+        const deadline = Date.now() + CONFIG.UI.JOB_POLL_TIMEOUT;
+
+        while (Date.now() < deadline) {
+            const { job, comic } = await this.getJob(jobId);
+            onUpdate(job);
+
+            if (job.status === 'done' && comic) {
+                return comic;
+            }
+            if (job.status === 'failed') {
+                const jobError = new Error(job.error || CONFIG.ERRORS.GENERATION_FAILED);
+                jobError.jobFailed = true;
+                throw jobError;
+            }
+
+            await new Promise(resolve => setTimeout(resolve, CONFIG.UI.JOB_POLL_INTERVAL));
+        }
+
+        throw new Error('Timed out waiting for comic generation');
+    }
+
+    /**
+     * Generate a new comic, receiving progress as Server-Sent Events.
+     * The first event is `job` with the job ID, so an interrupted stream can be resumed with waitForJob.
      * @param {object} [preferences={}] - User preferences for generation.
+     * @param {function(string, object): void} [onEvent] - Called with each job, progress or script event.
+     * @param {object|null} [direction=null] - Optional topic, setting, cast and style references.
+     * @param {object|null} [series=null] - Series to continue (`{ id }`) or start (`{ title }`).
      * @returns {Promise<object>} The generated comic.
      */
-    async generateComic(preferences = {}) {
+    async generateComicStream(preferences = {}, onEvent = () => {}, direction = null, series = null) {
         try {
-            const data = await this.fetchAPI('generate-comic', {
+            const response = await fetch('/api/generate-comic', {
                 method: 'POST',
-                body: JSON.stringify({
-                    userId: this.userId,
-                    preferences: preferences,
-                    tokenGuidance: {
-                        tokenWeights: preferences.tokenWeights || {},
-                        conceptWeights: preferences.conceptWeights || {},
-                        avoidTokens: preferences.avoidTokens || [],
-                        encourageTokens: preferences.encourageTokens || [],
-                        avoidConcepts: preferences.avoidConcepts || [],
-                        encourageConcepts: preferences.encourageConcepts || [],
-                        feedbackWeights: preferences.reactionWeights || {},
-                        generationTemperature: preferences.generationTemperature || 0.3
-                    },
-                    timestamp: new Date().toISOString()
-                })
+                credentials: 'same-origin',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'text/event-stream'
+                },
+                body: JSON.stringify(this.buildGenerationRequest(preferences, direction, series))
             });
-            if (!data.success || !data.comic) {
-                throw new Error(data.error || CONFIG.ERRORS.GENERATION_FAILED);
+
+            if (!response.ok) {
+                let errorDetails = {};
+                try {
+                    errorDetails = await response.json();
+                } catch (e) {}
+                const httpError = response.status === 429
+                    ? this.createRateLimitError(response, errorDetails)
+                    : new Error(errorDetails.error || `HTTP error! status: ${response.status}`);
+                httpError.status = response.status;
+                throw httpError;
             }
-            return data.comic;
+
+            // Server without streaming support answered with plain JSON
+            if (!(response.headers.get('Content-Type') || '').includes('text/event-stream')) {
+                const data = await response.json();
+                if (!data.success || !data.comic) {
+                    throw new Error(data.error || CONFIG.ERRORS.GENERATION_FAILED);
+                }
+                return data.comic;
+            }
+
+            const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+            let buffer = '';
+            let result = null;
+
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                buffer += value;
+
+                let boundary;
+                while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                    const { event, data } = this.parseServerSentEvent(buffer.slice(0, boundary));
+                    buffer = buffer.slice(boundary + 2);
+
+                    if (event === 'complete') {
+                        result = data;
+                    } else if (event === 'error') {
+                        const jobError = new Error(data?.details?.message || data?.error || CONFIG.ERRORS.GENERATION_FAILED);
+                        jobError.jobFailed = true;
+                        throw jobError;
+                    } else if (event) {
+                        onEvent(event, data);
+                    }
+                }
+            }
+
+            if (!result || !result.success || !result.comic) {
+                throw new Error(CONFIG.ERRORS.GENERATION_FAILED);
+            }
+            return result.comic;
         } catch (error) {
-            throw new Error(CONFIG.ERRORS.GENERATION_FAILED);
+            console.error('Streaming generation failed:', error);
+            // The request itself was rejected (e.g. invalid direction, unknown series, budget used up),
+            // or the job failed (e.g. blocked by moderation); show the server's reason
+            if ([400, 404, 429].includes(error.status) || error.jobFailed) {
+                throw error;
+            }
+            const streamError = new Error(CONFIG.ERRORS.GENERATION_FAILED);
+            streamError.cause = error;
+            // The job may still be running on the server if only the connection failed
+            streamError.interrupted = !error.jobFailed;
+            throw streamError;
+        }
+    }
+
+    /**
+     * Parse one Server-Sent Events block into its event name and JSON data.
+     * @param {string} block - Raw event text without the trailing blank line.
+     * @returns {{event: string|null, data: object|null}} Parsed event.
+     */
+    parseServerSentEvent(block) {
+        let event = 'message';
+        const dataLines = [];
+        block.split('\n').forEach(line => {
+            if (line.startsWith('event:')) {
+                event = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+                dataLines.push(line.slice(5).trim());
+            }
+        });
+        if (dataLines.length === 0) {
+            return { event: null, data: null };
+        }
+        try {
+            return { event, data: JSON.parse(dataLines.join('\n')) };
+        } catch (e) {
+            return { event: null, data: null };
         }
     }
 
@@ -109,6 +319,63 @@ class ComicAPI {
         }
     }
 
+    /**
+     * Get the prompts, model outputs, usage and timings behind a comic (debug tooling).
+     * Sends the `debugToken` URL parameter when the server requires one.
+     * @param {string} comicId - Comic ID.
+     * @returns {Promise<object>} Provenance record.
+     */
+    async getProvenance(comicId) {
+        const debugToken = new URLSearchParams(window.location.search).get('debugToken');
+        const data = await this.fetchAPI(`get-provenance?comicId=${encodeURIComponent(comicId)}`, {
+            headers: debugToken ? { 'x-debug-token': debugToken } : {}
+        });
+        if (!data.success || !data.provenance) {
+            throw new Error(data.error || 'Provenance not found');
+        }
+        return data.provenance;
+    }
+
+    /**
+     * Get the comic of the day.
+     * @param {string} [date] - Day (YYYY-MM-DD); the latest pick when omitted.
+     * @returns {Promise<{comic: object, daily: object}>} The comic and its pick (date, source, previousDate, nextDate).
+     */
+    async getDailyComic(date) {
+        const data = await this.fetchAPI(date ? `get-daily-comic?date=${encodeURIComponent(date)}` : 'get-daily-comic');
+        if (!data.success || !data.comic) {
+            throw new Error(data.error || 'No comic of the day');
+        }
+        return { comic: data.comic, daily: data.daily };
+    }
+
+    /**
+     * Get a series with its summary and episode list.
+     * @param {string} seriesId - Series ID.
+     * @returns {Promise<object>} The series.
+     */
+    async getSeries(seriesId) {
+        const data = await this.fetchAPI(`get-series?id=${encodeURIComponent(seriesId)}`);
+        if (!data.success || !data.series) {
+            throw new Error(data.error || 'Series not found');
+        }
+        return data.series;
+    }
+
+    /**
+     * List the most recently continued series.
+     * @param {number} [limit=20] - Number of series to return.
+     * @returns {Promise<object[]>} Series with their episode counts.
+     */
+    async listSeries(limit = 20) {
+        try {
+            const data = await this.fetchAPI(`get-series?limit=${limit}`);
+            return data.success ? data.series || [] : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
     /**
      * Get a specific comic by ID (alias for getComic).
      * @param {string} comicId - Comic ID.
@@ -127,16 +394,13 @@ class ComicAPI {
      */
     async submitFeedback(comicId, feedbackType, additionalData = {}) {
         try {
-            const feedbackData = CONFIG.FEEDBACK_TYPES[feedbackType];
-            if (!feedbackData) {
-                throw new Error(`Invalid feedback type: ${feedbackType}. Available: ${Object.keys(CONFIG.FEEDBACK_TYPES).join(', ')}`);
+            if (!isReactionType(feedbackType)) {
+                throw new Error(`Invalid feedback type: ${feedbackType}. Available: ${REACTION_TYPES.join(', ')}`);
             }
             const requestData = {
                 comicId,
                 userId: this.userId,
                 type: feedbackType,
-                phrase: feedbackData.phrase,
-                weight: feedbackData.weight,
                 timestamp: new Date().toISOString(),
                 ...additionalData
             };
@@ -168,7 +432,11 @@ class ComicAPI {
                 comicId,
                 feedbackType
             });
-            throw new Error(error.message || CONFIG.ERRORS.FEEDBACK_FAILED);
+            const feedbackError = new Error(error.message || CONFIG.ERRORS.FEEDBACK_FAILED);
+            feedbackError.status = error.status;
+            feedbackError.retryAfter = error.retryAfter;
+            feedbackError.reactions = error.details?.reactions;
+            throw feedbackError;
         }
     }
 
@@ -205,11 +473,12 @@ class ComicAPI {
     /**
      * Get popular comics based on feedback.
      * @param {number} [limit=10] - Number of comics to return.
+     * @param {string} [window='hot'] - Ranking window: hot, day, week or all.
      * @returns {Promise<object[]>} List of comics.
      */
-    async getPopularComics(limit = 10) {
+    async getPopularComics(limit = 10, window = 'hot') {
         try {
-            const data = await this.fetchAPI(`get-popular?limit=${limit}`);
+            const data = await this.fetchAPI(`get-popular?window=${encodeURIComponent(window)}&limit=${limit}`);
             if (!data.success) {
                 throw new Error(data.error || 'Failed to get popular comics');
             }
@@ -219,6 +488,64 @@ class ComicAPI {
         }
     }
 
+    /**
+     * Get the comics most similar to one comic.
+     * @param {string} comicId - Comic ID.
+     * @param {number} [limit=5] - Maximum number of comics.
+     * @returns {Promise<object[]>} Similar comics, closest first.
+     */
+    async getSimilarComics(comicId, limit = 5) {
+        try {
+            const params = new URLSearchParams({ comicId, limit: String(limit) });
+            const data = await this.fetchAPI(`get-similar?${params}`);
+            if (!data.success) {
+                throw new Error(data.error || 'Failed to get similar comics');
+            }
+            return data.comics || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Get existing comics recommended for this user.
+     * @param {number} [limit=10] - Maximum number of comics.
+     * @param {string[]} [exclude=[]] - Comic IDs to leave out.
+     * @returns {Promise<object[]>} Recommended comics, best first.
+     */
+    async getRecommendations(limit = 10, exclude = []) {
+        try {
+            const params = new URLSearchParams({ userId: this.userId, limit: String(limit) });
+            if (exclude.length > 0) {
+                params.set('exclude', exclude.join(','));
+            }
+            const data = await this.fetchAPI(`get-recommendations?${params}`);
+            if (!data.success) {
+                throw new Error(data.error || 'Failed to get recommendations');
+            }
+            return data.comics || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Record that this user has been shown a comic, so it is not recommended again.
+     * @param {string} comicId - Comic ID.
+     * @returns {Promise<boolean>} True if recorded.
+     */
+    async markSeen(comicId) {
+        try {
+            const data = await this.fetchAPI('mark-seen', {
+                method: 'POST',
+                body: JSON.stringify({ userId: this.userId, comicIds: [comicId] })
+            });
+            return Boolean(data.success);
+        } catch (error) {
+            return false;
+        }
+    }
+
     /**
      * Get user's feedback preferences (for AI training).
      * @returns {Promise<object>} User preferences.
@@ -3,6 +3,8 @@ import { comicRenderer } from './comic-renderer.js';
 import { reactionsSystem } from './reactions.js';
 import { CONFIG } from './config.js';
 import { urlRouter } from './url-router.js';
+import { COMIC_THEMES, normalizeDirection, normalizeSeriesRequest } from './comic-direction.js';
+import { generationSettings } from './generation-settings.js';
 
 /**
  * Main application controller for nrrds comic app.
@@ -17,6 +19,10 @@ class ComicApp {
         this.currentIndex = 0;
         this.isLoading = false;
         this.comics = [];
+        this.seriesCache = new Map();
+        this.dailyPicks = new Map(); // Comic ID -> its comic-of-the-day pick
+        this.viewedIds = new Set(); // Comics shown this session; each is marked seen on the server once
+        this.feed = []; // Recommended comics waiting for Next
         this.initializeElements();
         this.initializeEventListeners();
         this.initializeFromURL();
@@ -32,9 +38,20 @@ class ComicApp {
         this.navGenerateBtn = document.getElementById('navGenerateBtn');
         this.controlsSection = document.getElementById('controlsSection');
         this.loadingOverlay = document.getElementById('loadingOverlay');
+        this.generationProgress = document.getElementById('generationProgress');
+        this.scriptPreview = document.getElementById('scriptPreview');
         this.errorModal = document.getElementById('errorModal');
         this.errorMessage = document.getElementById('errorMessage');
         this.migrationBtn = document.getElementById('migrationBtn');
+        this.directionForm = document.getElementById('directionForm');
+        this.directionErrors = document.getElementById('directionErrors');
+        this.settingsForm = document.getElementById('generationSettingsForm');
+        this.humorLevelValue = document.getElementById('humorLevelValue');
+        this.seriesSelect = document.getElementById('seriesSelect');
+        
+        this.populateTopicSuggestions();
+        this.populateSeriesOptions();
+        this.fillGenerationSettingsForm();
         
         // Show migration button only if debug=1 in URL
         this.checkDebugMode();
@@ -59,7 +76,22 @@ class ComicApp {
         if (this.migrationBtn) {
             this.migrationBtn.addEventListener('click', () => this.handleMigrationAction());
         }
+        if (this.directionForm) {
+            this.directionForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleGenerateAction();
+            });
+            this.directionForm.addEventListener('reset', () => this.showDirectionErrors([]));
+        }
+        if (this.settingsForm) {
+            this.settingsForm.addEventListener('input', () => this.saveGenerationSettings());
+            this.settingsForm.addEventListener('submit', (e) => e.preventDefault());
+        }
         document.addEventListener('keydown', (e) => {
+            // Arrow keys move the cursor while typing in the direction form
+            if (e.target.closest?.('input, textarea, select')) {
+                return;
+            }
             if (e.key === 'ArrowRight') {
                 if (this.generateBtn && this.generateBtn.style.display !== 'none') {
                     this.handleGenerateAction();
@@ -83,17 +115,52 @@ class ComicApp {
     }
 
     /**
-     * Handles the next button action.
+     * Handles the next button action: forward again after going back, otherwise the
+     * next recommended comic, and a new comic once there are no recommendations left.
      * @returns {Promise<void>}
      */
     async handleNextAction() {
-        if (this.currentIndex < this.comics.length - 1) {
+        if (this.isLoading) return;
+
+        const ahead = this.comics[this.currentIndex + 1];
+        if (ahead && this.viewedIds.has(ahead.id)) {
             this.currentIndex++;
-            this.displayComic(this.comics[this.currentIndex]);
+            this.displayComic(ahead);
             this.updateNavigation();
-        } else {
-            await this.loadComics(true);
+            return;
+        }
+
+        const recommended = await this.nextRecommendedComic();
+        if (!recommended) {
+            await this.generateNewComic();
+            return;
+        }
+
+        // The recommendation goes right after the current comic, so Back returns here
+        const existing = this.comics.findIndex(c => c.id === recommended.id);
+        if (existing !== -1) {
+            this.comics.splice(existing, 1);
+            if (existing < this.currentIndex) {
+                this.currentIndex--;
+            }
+        }
+        this.comics.splice(this.currentIndex + 1, 0, recommended);
+        this.currentIndex++;
+        this.displayComic(recommended);
+        this.updateNavigation();
+    }
+
+    /**
+     * Takes the next comic from the recommended feed, fetching a page when it runs out.
+     * @returns {Promise<Object|null>} Comic, or null when nothing is left to recommend.
+     */
+    async nextRecommendedComic() {
+        this.feed = this.feed.filter(comic => !this.viewedIds.has(comic.id));
+        if (this.feed.length === 0) {
+            // The server skips comics marked seen; the ones shown moments ago may not be yet
+            this.feed = await comicAPI.getRecommendations(CONFIG.UI.FEED_PAGE_SIZE, [...this.viewedIds].slice(-CONFIG.UI.FEED_EXCLUDE_LIMIT));
         }
+        return this.feed.shift() || null;
     }
 
     /**
@@ -110,18 +177,50 @@ class ComicApp {
 
     /**
      * Generates a new comic and updates the UI.
+     * @param {Object|null} [series=null] - Series to continue (`{ id }`); defaults to the direction form's choice.
      * @returns {Promise<void>}
      */
-    async generateNewComic() {
+    async generateNewComic(series = null) {
         if (this.isLoading) return;
         
+        const { direction, errors: directionErrors } = this.getComicDirection();
+        const { series: seriesRequest, errors: seriesErrors } = series
+            ? { series, errors: [] }
+            : this.getSeriesRequest();
+        const errors = [...directionErrors, ...seriesErrors];
+        this.showDirectionErrors(errors);
+        if (errors.length > 0) return;
+        
         this.isLoading = true;
         this.showLoading();
         
         try {
-            const preferences = reactionsSystem.getUserPreferences();
+            const preferences = {
+                ...reactionsSystem.getUserPreferences(),
+                ...generationSettings.get()
+            };
             const startTime = Date.now();
-            const comic = await comicAPI.generateComic(preferences);
+            let jobId = null;
+            let comic;
+            
+            try {
+                comic = await comicAPI.generateComicStream(preferences, (event, data) => {
+                    if (event === 'job') {
+                        jobId = data.jobId;
+                        this.rememberPendingJob(jobId);
+                    } else {
+                        this.handleGenerationEvent(event, data);
+                    }
+                }, direction, seriesRequest);
+            } catch (streamError) {
+                if (!jobId || !streamError.interrupted) {
+                    throw streamError;
+                }
+                // Connection dropped but the job lives on the server; follow it by polling
+                console.warn('Generation stream interrupted, polling job:', jobId);
+                comic = await comicAPI.waitForJob(jobId, (job) => this.showJobProgress(job));
+            }
+            
             const elapsed = Date.now() - startTime;
             
             // Ensure minimum loading time for better UX
@@ -130,6 +229,10 @@ class ComicApp {
                 await new Promise(resolve => setTimeout(resolve, remainingDelay));
             }
             
+            if (comic.series) {
+                this.seriesCache.delete(comic.series.id);
+                this.resetSeriesForm(comic.series.id);
+            }
             this.comics.unshift(comic);
             this.currentIndex = 0;
             this.displayComic(comic);
@@ -141,10 +244,240 @@ class ComicApp {
             this.hideLoading();
             this.showError(error.message || CONFIG.ERRORS.GENERATION_FAILED);
         } finally {
+            this.forgetPendingJob();
             this.isLoading = false;
         }
     }
 
+    /**
+     * Reads the optional topic, setting, cast and style references from the direction form.
+     * @returns {{direction: Object|null, errors: string[]}} Normalized direction and validation errors.
+     */
+    getComicDirection() {
+        if (!this.directionForm) {
+            return { direction: null, errors: [] };
+        }
+        const values = Object.fromEntries(new FormData(this.directionForm));
+        return normalizeDirection(values);
+    }
+
+    /**
+     * Reads the series choice from the direction form: a new series title wins over a selected series.
+     * @returns {{series: Object|null, errors: string[]}} Series request and validation errors.
+     */
+    getSeriesRequest() {
+        if (!this.directionForm) {
+            return { series: null, errors: [] };
+        }
+        const { seriesId, seriesTitle } = Object.fromEntries(new FormData(this.directionForm));
+        return normalizeSeriesRequest(seriesTitle?.trim() ? { title: seriesTitle } : { id: seriesId });
+    }
+
+    /**
+     * Fills the series select with recently continued series.
+     * @param {string} [selectedId=''] - Series to select afterwards.
+     * @returns {Promise<void>}
+     */
+    async populateSeriesOptions(selectedId = '') {
+        if (!this.seriesSelect) return;
+        const seriesList = await comicAPI.listSeries(20);
+        this.seriesSelect.querySelectorAll('option[value]:not([value=""])').forEach(option => option.remove());
+        seriesList.forEach(series => {
+            const option = document.createElement('option');
+            option.value = series.id;
+            option.textContent = `Continue "${series.title}" (${series.episodeCount} episode${series.episodeCount === 1 ? '' : 's'})`;
+            this.seriesSelect.appendChild(option);
+        });
+        this.seriesSelect.value = seriesList.some(series => series.id === selectedId) ? selectedId : '';
+    }
+
+    /**
+     * After an episode is written, clears the new series title and selects the series so the next comic continues it.
+     * @param {string} seriesId - Series the new episode belongs to.
+     */
+    resetSeriesForm(seriesId) {
+        if (this.directionForm?.elements.seriesTitle) {
+            this.directionForm.elements.seriesTitle.value = '';
+        }
+        this.populateSeriesOptions(seriesId);
+    }
+
+    /**
+     * Shows direction validation errors below the form.
+     * @param {string[]} errors - Validation errors; empty to clear.
+     */
+    showDirectionErrors(errors) {
+        if (!this.directionErrors) return;
+        this.directionErrors.textContent = errors.join('. ');
+        if (errors.length > 0 && this.directionForm) {
+            this.directionForm.closest('details')?.setAttribute('open', '');
+        }
+    }
+
+    /**
+     * Shows the saved humor level, panel count and style references in the settings form.
+     */
+    fillGenerationSettingsForm() {
+        if (!this.settingsForm) return;
+        const settings = generationSettings.get();
+        this.settingsForm.elements.humorLevel.value = settings.humorLevel;
+        this.settingsForm.elements.panelCount.value = settings.panelCount;
+        this.settingsForm.elements.styleRefs.value = settings.styleRefs.join(', ');
+        if (this.humorLevelValue) {
+            this.humorLevelValue.textContent = settings.humorLevel;
+        }
+    }
+
+    /**
+     * Saves the settings form whenever it changes.
+     */
+    saveGenerationSettings() {
+        const saved = generationSettings.save(Object.fromEntries(new FormData(this.settingsForm)));
+        if (this.humorLevelValue) {
+            this.humorLevelValue.textContent = saved.humorLevel;
+        }
+    }
+
+    /**
+     * Fills the topic input's suggestion list.
+     */
+    populateTopicSuggestions() {
+        const datalist = document.getElementById('topicSuggestions');
+        if (!datalist) return;
+        COMIC_THEMES.forEach(theme => {
+            const option = document.createElement('option');
+            option.value = theme.replace(/-/g, ' ');
+            datalist.appendChild(option);
+        });
+    }
+
+    /**
+     * Resumes a generation job left running by a previous page load.
+     * @returns {Promise<void>}
+     */
+    async resumePendingJob() {
+        const jobId = localStorage.getItem(CONFIG.STORAGE_KEYS.PENDING_JOB);
+        if (!jobId || this.isLoading) return;
+        
+        console.log('🔁 Resuming pending generation job:', jobId);
+        this.isLoading = true;
+        this.showLoading();
+        
+        try {
+            const comic = await comicAPI.waitForJob(jobId, (job) => this.showJobProgress(job));
+            this.comics.unshift(comic);
+            this.currentIndex = 0;
+            this.displayComic(comic);
+            this.updateNavigation();
+        } catch (error) {
+            console.warn('Could not resume generation job:', jobId, error.message);
+        } finally {
+            this.forgetPendingJob();
+            this.hideLoading();
+            this.isLoading = false;
+        }
+    }
+
+    /**
+     * Remembers an in-flight generation job so it survives a page reload.
+     * @param {string} jobId - Job ID.
+     */
+    rememberPendingJob(jobId) {
+        try {
+            localStorage.setItem(CONFIG.STORAGE_KEYS.PENDING_JOB, jobId);
+        } catch (e) {
+            // Ignore localStorage errors
+        }
+    }
+
+    /**
+     * Clears the remembered generation job.
+     */
+    forgetPendingJob() {
+        try {
+            localStorage.removeItem(CONFIG.STORAGE_KEYS.PENDING_JOB);
+        } catch (e) {
+            // Ignore localStorage errors
+        }
+    }
+
+    /**
+     * Shows a polled job's steps and partial script in the loading overlay.
+     * @param {Object} job - Job status from the get-job endpoint.
+     */
+    showJobProgress(job) {
+        (job.steps || []).forEach(step => this.handleGenerationEvent('progress', step));
+        if (this.scriptPreview && job.script) {
+            this.scriptPreview.textContent = job.script;
+            this.scriptPreview.scrollTop = this.scriptPreview.scrollHeight;
+        }
+    }
+
+    /**
+     * Updates the loading overlay from a streamed generation event.
+     * @param {string} event - Event name ('progress' or 'script').
+     * @param {Object} data - Event payload.
+     */
+    handleGenerationEvent(event, data) {
+        if (event === 'script' && this.scriptPreview) {
+            this.scriptPreview.textContent += data.delta || '';
+            this.scriptPreview.scrollTop = this.scriptPreview.scrollHeight;
+            return;
+        }
+
+        if (event !== 'progress' || !this.generationProgress) return;
+
+        // A retried script, or a draft moderation or the repeat check sent back, is rewritten from scratch
+        if (['script', 'moderation', 'originality'].includes(data.step) && data.status === 'retrying' && this.scriptPreview) {
+            this.scriptPreview.textContent = '';
+        }
+
+        const labels = {
+            script: 'Writing the script',
+            judge: 'Picking the funniest script',
+            moderation: 'Checking the content',
+            originality: 'Making sure it is not a repeat',
+            analysis: 'Casting the characters',
+            format: 'Laying out the panels',
+            save: 'Saving the comic',
+            series: 'Updating the story so far',
+            budget: 'Daily budget reached, writing a quicker draft',
+            pool: 'Found a fresh comic'
+        };
+
+        let item = this.generationProgress.querySelector(`[data-step="${data.step}"]`);
+        if (!item) {
+            item = document.createElement('li');
+            item.setAttribute('data-step', data.step);
+            this.generationProgress.appendChild(item);
+        }
+
+        const label = labels[data.step] || data.step;
+        if (data.status === 'done') {
+            const seconds = data.durationMs !== undefined ? ` (${(data.durationMs / 1000).toFixed(1)}s)` : '';
+            item.className = 'progress-step done';
+            item.textContent = `✅ ${label}${seconds}`;
+        } else if (data.status === 'downgraded') {
+            item.className = 'progress-step done';
+            item.textContent = `💸 ${label}`;
+        } else {
+            item.className = 'progress-step active';
+            item.textContent = `⏳ ${label}...`;
+        }
+    }
+
+    /**
+     * Clears step progress and partial script from the loading overlay.
+     */
+    resetGenerationProgress() {
+        if (this.generationProgress) {
+            this.generationProgress.innerHTML = '';
+        }
+        if (this.scriptPreview) {
+            this.scriptPreview.textContent = '';
+        }
+    }
+
     /**
      * Displays a comic and shows feedback section.
      * @param {Object} comic - Comic object to display.
@@ -155,8 +488,146 @@ class ComicApp {
         comicRenderer.render(comic);
         reactionsSystem.show(comic.id);
         
+        if (!this.viewedIds.has(comic.id)) {
+            this.viewedIds.add(comic.id);
+            comicAPI.markSeen(comic.id);
+        }
+        
+        const daily = this.dailyPicks.get(comic.id);
         if (updateURL) {
-            urlRouter.updateURL(comic);
+            urlRouter.updateURL(comic, false, daily ? urlRouter.generateDaySlug(daily.date) : undefined);
+        }
+        
+        if (comic.series) {
+            this.showSeriesNavigation(comic);
+        }
+        
+        if (daily) {
+            comicRenderer.showDailyNav(daily, {
+                onDay: (date) => this.navigateToDailyComic(date)
+            });
+        }
+        
+        this.showSimilarComics(comic);
+        
+        if (this.isDebugMode()) {
+            this.showDebugInfo();
+        }
+    }
+
+    /**
+     * Lists comics similar to the displayed one once they have loaded.
+     * @param {Object} comic - Displayed comic.
+     * @returns {Promise<void>}
+     */
+    async showSimilarComics(comic) {
+        const similar = await comicAPI.getSimilarComics(comic.id, CONFIG.UI.SIMILAR_COMICS);
+        // Another comic may have been displayed while they loaded
+        if (this.currentComic?.id !== comic.id) return;
+        
+        comicRenderer.showSimilarComics(similar, {
+            onComic: (picked) => {
+                if (!this.comics.find(c => c.id === picked.id)) {
+                    this.comics.splice(this.currentIndex + 1, 0, picked);
+                }
+                this.currentIndex = this.comics.findIndex(c => c.id === picked.id);
+                this.displayComic(picked);
+                this.updateNavigation();
+            }
+        });
+    }
+
+    /**
+     * Loads a series, caching it for episode navigation.
+     * @param {string} seriesId - Series ID.
+     * @returns {Promise<Object>} Series with its episode list.
+     */
+    async loadSeries(seriesId) {
+        if (!this.seriesCache.has(seriesId)) {
+            this.seriesCache.set(seriesId, await comicAPI.getSeries(seriesId));
+        }
+        return this.seriesCache.get(seriesId);
+    }
+
+    /**
+     * Adds episode navigation for a series comic once its series has loaded.
+     * @param {Object} comic - Displayed comic.
+     * @returns {Promise<void>}
+     */
+    async showSeriesNavigation(comic) {
+        let series;
+        try {
+            series = await this.loadSeries(comic.series.id);
+        } catch (error) {
+            console.warn('Could not load series:', comic.series.id, error.message);
+            return;
+        }
+        // Another comic may have been displayed while the series loaded
+        if (this.currentComic?.id !== comic.id) return;
+        
+        const entry = series.episodes.find(episode => episode.comicId === comic.id);
+        const episode = entry ? entry.episode : comic.series.episode;
+        comicRenderer.showSeriesNav(series, episode, {
+            onEpisode: (number) => this.navigateToSeriesEpisode(series.id, number),
+            onContinue: () => this.generateNewComic({ id: series.id })
+        });
+    }
+
+    /**
+     * Displays an episode of a series.
+     * @param {string} seriesId - Series ID.
+     * @param {number} episode - Episode number (1-based).
+     * @param {boolean} [updateURL=true] - Whether to update the URL.
+     * @returns {Promise<boolean>} True if the episode was displayed.
+     */
+    async navigateToSeriesEpisode(seriesId, episode, updateURL = true) {
+        try {
+            const series = await this.loadSeries(seriesId);
+            const entry = series.episodes.find(item => item.episode === episode);
+            if (!entry) {
+                console.warn('Series has no episode', episode, seriesId);
+                return false;
+            }
+            
+            let comic = this.comics.find(c => c.id === entry.comicId);
+            if (!comic) {
+                comic = await comicAPI.getComicById(entry.comicId);
+                this.comics.unshift(comic);
+            }
+            
+            this.currentIndex = this.comics.findIndex(c => c.id === comic.id);
+            this.displayComic(comic, updateURL);
+            this.updateNavigation();
+            return true;
+        } catch (error) {
+            console.warn('Could not open series episode:', seriesId, episode, error.message);
+            this.showError(`Episode ${episode} is no longer available.`);
+            return false;
+        }
+    }
+
+    /**
+     * Displays the comic of the day.
+     * @param {string} [date] - Day (YYYY-MM-DD); the latest pick when omitted.
+     * @param {boolean} [updateURL=true] - Whether to update the URL.
+     * @returns {Promise<boolean>} True if the comic was displayed.
+     */
+    async navigateToDailyComic(date, updateURL = true) {
+        try {
+            const { comic, daily } = await comicAPI.getDailyComic(date);
+            this.dailyPicks.set(comic.id, daily);
+            
+            if (!this.comics.find(c => c.id === comic.id)) {
+                this.comics.unshift(comic);
+            }
+            
+            this.currentIndex = this.comics.findIndex(c => c.id === comic.id);
+            this.displayComic(comic, updateURL);
+            this.updateNavigation();
+            return true;
+        } catch (error) {
+            console.warn('Could not open comic of the day:', date || 'latest', error.message);
+            return false;
         }
     }
 
@@ -220,9 +691,9 @@ class ComicApp {
                 this.previousBtn.disabled = this.currentIndex <= 0;
             }
             
-            // Update next button
+            // Next always has somewhere to go: a recommendation, or else a new comic
             if (this.nextBtn) {
-                this.nextBtn.disabled = this.currentIndex >= this.comics.length - 1;
+                this.nextBtn.disabled = false;
             }
         }
     }
@@ -231,6 +702,7 @@ class ComicApp {
      * Shows the loading overlay.
      */
     showLoading() {
+        this.resetGenerationProgress();
         this.loadingOverlay.classList.add('active');
         comicRenderer.showLoading();
     }
@@ -275,10 +747,15 @@ class ComicApp {
             this.debugDumpComics();
             await this.navigateToComicByURL(urlInfo);
         } else {
-            // No specific comic in URL, load normally
-            console.log('🔄 [URL DEBUG] No comic in URL, loading normally');
-            await this.loadComics(true);  // Display first comic as normal
+            // No specific comic in URL: open on the comic of the day, or the latest comic without one
+            console.log('🔄 [URL DEBUG] No comic in URL, opening on the comic of the day');
+            await this.loadComics(false);
+            if (!(await this.navigateToDailyComic(undefined, false)) && this.comics.length > 0) {
+                this.displayComic(this.comics[0]);
+            }
         }
+        
+        await this.resumePendingJob();
     }
 
     /**
@@ -295,6 +772,32 @@ class ComicApp {
             date: urlInfo.date
         });
         
+        if (urlInfo.isDaily) {
+            if (await this.navigateToDailyComic(urlInfo.dailyDate, false)) {
+                return;
+            }
+            this.showError(`There is no comic of the day for ${urlInfo.dailyDate}.`);
+            if (this.comics.length > 0) {
+                this.currentIndex = 0;
+                this.displayComic(this.comics[0], true);
+                this.updateNavigation();
+            }
+            return;
+        }
+        
+        if (urlInfo.isSeries) {
+            if (await this.navigateToSeriesEpisode(urlInfo.seriesId, urlInfo.episode, false)) {
+                return;
+            }
+            // Unknown series or expired episode: show the latest comic instead
+            if (this.comics.length > 0) {
+                this.currentIndex = 0;
+                this.displayComic(this.comics[0], true);
+                this.updateNavigation();
+            }
+            return;
+        }
+        
         // NEW: Fast lookup using comic ID as slug
         let comic = null;
         
@@ -365,7 +868,7 @@ class ComicApp {
                 
                 // If still not found, try popular comics
                 if (!comic) {
-                    const popularComics = await comicAPI.getPopularComics(100);
+                    const popularComics = await comicAPI.getPopularComics(50, 'all');
                     console.log('🎯 [URL DEBUG] Loaded popular comics:', popularComics.length, 'comics');
                     console.log('🎯 [URL DEBUG] Popular comics titles:', popularComics.map(c => `"${c.title}" (${c.id})`));
                     
@@ -719,6 +1222,101 @@ class ComicApp {
         html += `</div>`;
         
         debugDiv.innerHTML = html;
+        
+        if (currentComic) {
+            const provenanceBtn = document.createElement('button');
+            provenanceBtn.textContent = '🧾 Provenance';
+            provenanceBtn.style.cssText = `
+                margin-top: 8px;
+                font-family: monospace;
+                font-size: 10px;
+                cursor: pointer;
+            `;
+            provenanceBtn.onclick = () => this.showProvenance(currentComic.id);
+            debugDiv.appendChild(provenanceBtn);
+        }
+    }
+
+    /**
+     * Show the prompts, model outputs, usage and timings behind a comic.
+     * Everything is inserted as text: prompts and outputs contain user and model content.
+     * @param {string} comicId - Comic ID.
+     * @returns {Promise<void>}
+     */
+    async showProvenance(comicId) {
+        document.getElementById('provenance-view')?.remove();
+        const view = document.createElement('div');
+        view.id = 'provenance-view';
+        view.className = 'provenance-view';
+        
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'provenance-close';
+        closeBtn.textContent = '×';
+        closeBtn.onclick = () => view.remove();
+        
+        const heading = document.createElement('h3');
+        heading.textContent = `🧾 Provenance: ${comicId}`;
+        view.append(closeBtn, heading);
+        document.body.appendChild(view);
+        
+        let provenance;
+        try {
+            provenance = await comicAPI.getProvenance(comicId);
+        } catch (error) {
+            const message = document.createElement('p');
+            message.textContent = error.status === 404
+                ? 'No provenance recorded for this comic.'
+                : `Could not load provenance: ${error.details?.error || error.message}`;
+            view.appendChild(message);
+            return;
+        }
+        
+        const addText = (tag, text, className) => {
+            const element = document.createElement(tag);
+            element.textContent = text;
+            if (className) element.className = className;
+            return element;
+        };
+        const addSection = (summaryText, content, open = false) => {
+            const details = document.createElement('details');
+            details.open = open;
+            details.appendChild(addText('summary', summaryText));
+            details.appendChild(content instanceof Node ? content : addText('pre', content));
+            return details;
+        };
+        
+        const { usage = {}, notes = {} } = provenance;
+        view.appendChild(addText('p', [
+            `Duration: ${(provenance.durationMs / 1000).toFixed(1)}s`,
+            `LLM calls: ${provenance.calls.length}`,
+            `Tokens: ${usage.totalTokens} (in ${usage.inputTokens}, out ${usage.outputTokens}, reasoning ${usage.reasoningTokens})`,
+            `Parser: ${notes.parser || '?'}${notes.usedFallbackFormatter ? ' (fallback formatter used)' : ''}`
+        ].join(' · '), 'provenance-summary'));
+        
+        const steps = provenance.steps
+            .map(step => `${step.at?.slice(11, 23) || ''}  ${step.step.padEnd(12)} ${String(step.status).padEnd(9)} ${step.durationMs !== undefined ? `${step.durationMs}ms` : ''}`)
+            .join('\n');
+        view.appendChild(addSection(`Steps (${provenance.steps.length})`, steps || '(none)', true));
+        
+        provenance.calls.forEach((call, index) => {
+            const body = document.createElement('div');
+            body.appendChild(addText('pre', [
+                `provider: ${call.provider}  model: ${call.model}  api: ${call.api}`,
+                `reasoning effort: ${call.reasoningEffort || 'n/a'}  temperature: ${call.temperature ?? 'default'}  max tokens: ${call.maxTokens}`,
+                `status: ${call.status}${call.incompleteReason ? ` (${call.incompleteReason})` : ''}${call.error ? `  error: ${call.error}` : ''}`,
+                `usage: ${JSON.stringify(call.usage || {})}`
+            ].join('\n')));
+            body.appendChild(addSection('System prompt', call.system || ''));
+            body.appendChild(addSection('Prompt', call.prompt || ''));
+            body.appendChild(addSection('Output', call.output ?? '(no output)'));
+            const tokens = call.usage?.totalTokens ?? '?';
+            view.appendChild(addSection(`${index + 1}. ${call.step} · ${call.model} · ${tokens} tokens · ${call.durationMs}ms · ${call.status}`, body));
+        });
+        
+        if (notes.script) {
+            view.appendChild(addSection('Final script', notes.script));
+        }
+        view.appendChild(addSection('Raw JSON', JSON.stringify(provenance, null, 2)));
     }
 
     /**
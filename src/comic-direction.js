@@ -0,0 +1,207 @@
+/**
+ * User direction for comic generation ("make a comic about X").
+ * Shared by the frontend form and the generate-comic API so both apply the
+ * same length limits and prompt-injection screening.
+ */
+
+/**
+ * Topic suggestions offered in the direction form.
+ * @readonly
+ * @type {string[]}
+ */
+export const COMIC_THEMES = [
+    'technology', 'work-life', 'relationships', 'food', 'pets',
+    'gaming', 'social-media', 'fitness', 'shopping', 'travel'
+];
+
+/**
+ * Limits for each direction field.
+ * @readonly
+ * @type {Object}
+ */
+export const DIRECTION_LIMITS = {
+    TOPIC_MAX_LENGTH: 200,
+    SETTING_MAX_LENGTH: 150,
+    CAST_MAX_MEMBERS: 5,
+    CAST_NAME_MAX_LENGTH: 30,
+    STYLE_REFS_MAX: 5,
+    STYLE_REF_MAX_LENGTH: 60,
+    SERIES_TITLE_MAX_LENGTH: 80
+};
+
+const SERIES_ID = /^[a-z0-9][a-z0-9-]{0,99}$/;
+
+// Phrases that try to steer the model instead of describing a comic
+const INJECTION_PATTERNS = [
+    /\b(ignore|disregard|forget|override)\b.{0,40}\b(instructions?|rules|prompt|guidelines|above|previous)\b/i,
+    /\b(system|developer)\s*(prompt|message|instructions?)\b/i,
+    /\byou\s+are\s+now\b/i,
+    /\b(act|behave)\s+as\s+(if\s+you\s+were\s+)?(an?\s+)?(ai|assistant|model|chatbot|different)\b/i,
+    /\b(jailbreak|do\s+anything\s+now|developer\s+mode)\b/i,
+    /\b(reveal|print|show|repeat)\b.{0,30}\b(prompt|instructions)\b/i,
+    /\b(respond|reply|output)\s+(only\s+)?(with|in)\s+(json|code|markdown)\b/i,
+    /^\s*(system|assistant|user)\s*:/im,
+    /<\/?\s*(system|assistant|user|instructions?)\s*>/i,
+    /```|#{3,}|\[\/?INST\]/i
+];
+
+const EMOJI = /\p{Extended_Pictographic}(?:\u{FE0F}|\u200D\p{Extended_Pictographic}|\p{Emoji_Modifier})*/u;
+
+/**
+ * Check free text for prompt-injection attempts.
+ * @param {string} text - User supplied text.
+ * @returns {boolean} True if the text looks like an instruction to the model.
+ */
+export function looksLikePromptInjection(text) {
+    return INJECTION_PATTERNS.some(pattern => pattern.test(text));
+}
+
+/**
+ * Parse a cast list typed as text, e.g. "Priya (🧑‍💻), Dev".
+ * @param {string} text - Comma separated cast list.
+ * @returns {Array<{name: string, emoji: string|null}>} Cast members.
+ */
+export function parseCastList(text) {
+    if (!text) return [];
+    return String(text)
+        .split(/[,;\n]/)
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const emoji = entry.match(EMOJI)?.[0] || null;
+            const name = entry.replace(new RegExp(EMOJI.source, 'gu'), '').replace(/[()]/g, '').trim();
+            return { name, emoji };
+        });
+}
+
+/**
+ * Clean and validate user direction.
+ * @param {Object} [input={}] - Raw direction: { topic, setting, cast, styleRefs }.
+ *   `cast` may be a list of names, `{ name, emoji }` objects or a comma separated string.
+ * @returns {{direction: Object|null, errors: string[]}} Normalized direction (null when empty) and any problems.
+ */
+export function normalizeDirection(input = {}) {
+    const errors = [];
+    if (!input || typeof input !== 'object') {
+        return { direction: null, errors };
+    }
+
+    const topic = cleanText(input.topic);
+    const setting = cleanText(input.setting);
+    const castInput = typeof input.cast === 'string' ? parseCastList(input.cast) : toList(input.cast);
+    const cast = castInput
+        .map(member => typeof member === 'string' ? parseCastList(member)[0] : member)
+        .filter(member => member && cleanText(member.name))
+        .map(member => ({ name: cleanText(member.name), emoji: cleanText(member.emoji) || null }));
+    const { styleRefs, errors: styleRefErrors } = normalizeStyleRefs(input.styleRefs);
+
+    if (topic.length > DIRECTION_LIMITS.TOPIC_MAX_LENGTH) {
+        errors.push(`Topic must be at most ${DIRECTION_LIMITS.TOPIC_MAX_LENGTH} characters`);
+    }
+    if (setting.length > DIRECTION_LIMITS.SETTING_MAX_LENGTH) {
+        errors.push(`Setting must be at most ${DIRECTION_LIMITS.SETTING_MAX_LENGTH} characters`);
+    }
+    if (cast.length > DIRECTION_LIMITS.CAST_MAX_MEMBERS) {
+        errors.push(`Cast can have at most ${DIRECTION_LIMITS.CAST_MAX_MEMBERS} characters`);
+    }
+    cast.forEach(member => {
+        if (member.name.length > DIRECTION_LIMITS.CAST_NAME_MAX_LENGTH) {
+            errors.push(`Character name "${member.name.slice(0, 20)}…" is too long`);
+        }
+        if (member.emoji && !EMOJI.test(member.emoji)) {
+            errors.push(`Character "${member.name}" needs an emoji, not "${member.emoji}"`);
+        }
+    });
+    errors.push(...styleRefErrors);
+
+    const fields = [topic, setting, ...cast.map(member => member.name)];
+    if (fields.some(looksLikePromptInjection)) {
+        errors.push('Direction looks like instructions to the AI; describe the comic instead');
+    }
+
+    if (!topic && !setting && cast.length === 0 && styleRefs.length === 0) {
+        return { direction: null, errors };
+    }
+
+    return {
+        direction: {
+            ...(topic && { topic }),
+            ...(setting && { setting }),
+            ...(cast.length && { cast }),
+            ...(styleRefs.length && { styleRefs })
+        },
+        errors
+    };
+}
+
+/**
+ * Clean and validate style references, which are also sent with the saved generation settings.
+ * @param {string|string[]} value - Comma separated string or list.
+ * @returns {{styleRefs: string[], errors: string[]}} Cleaned references and any problems.
+ */
+export function normalizeStyleRefs(value) {
+    const errors = [];
+    const styleRefs = (typeof value === 'string' ? value.split(',') : toList(value))
+        .map(cleanText)
+        .filter(Boolean);
+
+    if (styleRefs.length > DIRECTION_LIMITS.STYLE_REFS_MAX) {
+        errors.push(`At most ${DIRECTION_LIMITS.STYLE_REFS_MAX} style references are allowed`);
+    }
+    if (styleRefs.some(ref => ref.length > DIRECTION_LIMITS.STYLE_REF_MAX_LENGTH)) {
+        errors.push(`Style references must be at most ${DIRECTION_LIMITS.STYLE_REF_MAX_LENGTH} characters each`);
+    }
+    if (styleRefs.some(looksLikePromptInjection)) {
+        errors.push('Style references look like instructions to the AI; name comics or artists instead');
+    }
+
+    return { styleRefs, errors };
+}
+
+/**
+ * Clean and validate a series request: continue an existing series by `id`,
+ * or start a new one with a `title`.
+ * @param {Object} [input={}] - Raw request: { id } or { title }.
+ * @returns {{series: Object|null, errors: string[]}} `{ id }`, `{ title }` or null, and any problems.
+ */
+export function normalizeSeriesRequest(input = {}) {
+    const errors = [];
+    if (!input || typeof input !== 'object') {
+        return { series: null, errors };
+    }
+
+    const id = cleanText(input.id);
+    const title = cleanText(input.title);
+
+    if (id) {
+        if (!SERIES_ID.test(id)) {
+            errors.push('Series ID is not valid');
+        }
+        return { series: { id }, errors };
+    }
+
+    if (!title) {
+        return { series: null, errors };
+    }
+    if (title.length > DIRECTION_LIMITS.SERIES_TITLE_MAX_LENGTH) {
+        errors.push(`Series title must be at most ${DIRECTION_LIMITS.SERIES_TITLE_MAX_LENGTH} characters`);
+    }
+    if (looksLikePromptInjection(title)) {
+        errors.push('Series title looks like instructions to the AI; name the series instead');
+    }
+    return { series: { title }, errors };
+}
+
+// Single line, no control characters, collapsed whitespace
+function cleanText(value) {
+    if (value === undefined || value === null) return '';
+    return String(value)
+        .replace(/[\u0000-\u001F\u007F]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function toList(value) {
+    if (!value) return [];
+    return Array.isArray(value) ? value : [value];
+}
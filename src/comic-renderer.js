@@ -1,3 +1,5 @@
+import { validateComic, repairComic } from './comic-schema.js';
+
 export default class ComicRenderer {
     constructor() {
         this.container = document.getElementById('comicContainer');
@@ -5,13 +7,22 @@ export default class ComicRenderer {
 
     /**
      * Render a comic object into the DOM.
+     * Comics that do not match the comic schema are rejected with their validation errors.
      * @param {object} comic - Comic data to render.
      */
     render(comic) {
-        if (!comic || !comic.panels || comic.panels.length === 0) {
+        if (!comic || typeof comic !== 'object') {
             this.showError('Invalid comic data');
             return;
         }
+        // Comics stored before the schema existed may need the same fixes as new ones
+        comic = repairComic(comic).comic;
+        const { valid, errors } = validateComic(comic);
+        if (!valid) {
+            console.error('❌ Refusing to render invalid comic:', comic.id, errors);
+            this.showValidationErrors(errors);
+            return;
+        }
         this.container.innerHTML = '';
         const comicWrapper = document.createElement('div');
         comicWrapper.className = 'comic-wrapper';
@@ -34,6 +45,26 @@ export default class ComicRenderer {
                 titleContainer.appendChild(experimentalBadge);
             }
             
+            if (comic.generationSettings) {
+                titleContainer.appendChild(this.createSettingsBadge(comic.generationSettings));
+            }
+            
+            if (comic.moderation?.status === 'flagged') {
+                const moderationBadge = document.createElement('span');
+                moderationBadge.className = 'moderation-badge';
+                moderationBadge.textContent = '🏷️ flagged';
+                moderationBadge.title = `Content labels: ${comic.moderation.flagged.map(category => category.replace(/_/g, ' ')).join(', ')}`;
+                titleContainer.appendChild(moderationBadge);
+            }
+            
+            if (comic.series) {
+                const seriesBadge = document.createElement('span');
+                seriesBadge.className = 'series-badge';
+                seriesBadge.textContent = `📚 Episode ${comic.series.episode}`;
+                seriesBadge.title = comic.series.title || '';
+                titleContainer.appendChild(seriesBadge);
+            }
+            
             comicWrapper.appendChild(titleContainer);
         }
         const strip = document.createElement('div');
@@ -72,7 +103,7 @@ export default class ComicRenderer {
             
             // Add temperature display next to date if available
             if (comic.generationTemperature !== undefined) {
-                const tempDisplay = this.createTemperatureDisplay(comic.generationTemperature);
+                const tempDisplay = this.createTemperatureDisplay(comic.generationTemperature, comic.bandit);
                 const dateContainer = document.createElement('div');
                 dateContainer.className = 'comic-date-container';
                 dateContainer.appendChild(dateElement);
@@ -355,9 +386,10 @@ export default class ComicRenderer {
     /**
      * Create a temperature display widget showing exploration vs exploitation level.
      * @param {number} temperature - Temperature value between 0.0 and 1.0.
+     * @param {object} [bandit] - The comic's bandit choice, naming the strategy it was written with.
      * @returns {HTMLElement} Temperature display element.
      */
-    createTemperatureDisplay(temperature) {
+    createTemperatureDisplay(temperature, bandit = null) {
         const tempContainer = document.createElement('div');
         tempContainer.className = 'temperature-display';
         
@@ -400,6 +432,9 @@ export default class ComicRenderer {
         } else {
             tooltipText = `🎨 Exploration Mode (${(temperature * 100).toFixed(0)}%)\nHigh creative freedom, ignoring most preferences`;
         }
+        if (bandit?.concept) {
+            tooltipText += `\nBuilt around a reader favorite: ${bandit.concept}`;
+        }
         
         thermometer.title = tooltipText;
         tempContainer.appendChild(thermometer);
@@ -407,6 +442,163 @@ export default class ComicRenderer {
         return tempContainer;
     }
 
+    /**
+     * Create a badge showing the humor level, panel count and style references a comic was generated with.
+     * @param {object} settings - The comic's generationSettings.
+     * @returns {HTMLElement} Badge element.
+     */
+    createSettingsBadge(settings) {
+        const badge = document.createElement('span');
+        badge.className = 'settings-badge';
+        
+        const parts = [];
+        if (settings.humorLevel !== undefined) {
+            parts.push(`🎚️ ${settings.humorLevel}/11`);
+        }
+        if (settings.panelCount) {
+            parts.push(`${settings.panelCount} panels`);
+        }
+        badge.textContent = parts.join(' · ');
+        
+        const details = [`Funny dial: ${settings.humorLevel ?? '?'} / 11`, `Panels requested: ${settings.panelCount ?? '?'}`];
+        if (settings.styleRefs?.length) {
+            details.push(`Style references: ${settings.styleRefs.join(', ')}`);
+            badge.textContent += ' · 🎨';
+        }
+        badge.title = details.join('\n');
+        
+        return badge;
+    }
+
+    /**
+     * Show previous/next episode navigation under the title of a series comic.
+     * @param {object} series - Series with its episode count and the latest episodes.
+     * @param {number} episode - Episode number of the displayed comic (1-based).
+     * @param {object} [handlers={}] - `onEpisode(episode)` to open an episode, `onContinue()` to write the next one.
+     */
+    showSeriesNav(series, episode, { onEpisode, onContinue } = {}) {
+        const wrapper = this.container.querySelector('.comic-wrapper');
+        if (!wrapper) return;
+        wrapper.querySelector('.series-nav')?.remove();
+        
+        const total = series.episodeCount;
+        const first = series.episodes[0]?.episode ?? 1; // Older episodes drop off the list
+        const nav = document.createElement('nav');
+        nav.className = 'series-nav';
+        nav.setAttribute('aria-label', 'Series episodes');
+        
+        const prev = document.createElement('button');
+        prev.className = 'series-nav-btn';
+        prev.textContent = '◀ Previous episode';
+        prev.disabled = episode <= first;
+        prev.addEventListener('click', () => onEpisode?.(episode - 1));
+        
+        const label = document.createElement('span');
+        label.className = 'series-nav-label';
+        label.textContent = `📚 ${series.title} · Episode ${episode} of ${total}`;
+        label.title = series.summary || '';
+        
+        const next = document.createElement('button');
+        next.className = 'series-nav-btn';
+        next.textContent = 'Next episode ▶';
+        next.disabled = episode >= total;
+        next.addEventListener('click', () => onEpisode?.(episode + 1));
+        
+        nav.append(prev, label, next);
+        
+        if (episode >= total && onContinue) {
+            const write = document.createElement('button');
+            write.className = 'series-nav-btn series-nav-continue';
+            write.textContent = '✍️ Write the next episode';
+            write.addEventListener('click', () => onContinue());
+            nav.appendChild(write);
+        }
+        
+        const titleContainer = wrapper.querySelector('.comic-title-container');
+        if (titleContainer) {
+            titleContainer.after(nav);
+        } else {
+            wrapper.prepend(nav);
+        }
+    }
+
+    /**
+     * Show a list of similar comics under the displayed comic.
+     * @param {object[]} comics - Similar comics, closest first.
+     * @param {object} [handlers={}] - `onComic(comic)` to open one of them.
+     */
+    showSimilarComics(comics, { onComic } = {}) {
+        const wrapper = this.container.querySelector('.comic-wrapper');
+        if (!wrapper) return;
+        wrapper.querySelector('.similar-comics')?.remove();
+        if (comics.length === 0) return;
+        
+        const section = document.createElement('nav');
+        section.className = 'similar-comics';
+        section.setAttribute('aria-label', 'Similar comics');
+        
+        const heading = document.createElement('span');
+        heading.className = 'similar-comics-label';
+        heading.textContent = '🔗 Similar comics';
+        section.appendChild(heading);
+        
+        comics.forEach(comic => {
+            const link = document.createElement('button');
+            link.className = 'series-nav-btn';
+            link.textContent = comic.title;
+            link.addEventListener('click', () => onComic?.(comic));
+            section.appendChild(link);
+        });
+        
+        wrapper.appendChild(section);
+    }
+
+    /**
+     * Show previous/next day navigation under the title of a comic of the day.
+     * @param {object} daily - The day's pick with `date`, `previousDate` and `nextDate`.
+     * @param {object} [handlers={}] - `onDay(date)` to open another day's comic.
+     */
+    showDailyNav(daily, { onDay } = {}) {
+        const wrapper = this.container.querySelector('.comic-wrapper');
+        if (!wrapper) return;
+        wrapper.querySelector('.daily-nav')?.remove();
+        
+        const nav = document.createElement('nav');
+        nav.className = 'series-nav daily-nav';
+        nav.setAttribute('aria-label', 'Comic of the day');
+        
+        const prev = document.createElement('button');
+        prev.className = 'series-nav-btn';
+        prev.textContent = '◀ Previous day';
+        prev.disabled = !daily.previousDate;
+        prev.addEventListener('click', () => onDay?.(daily.previousDate));
+        
+        const label = document.createElement('span');
+        label.className = 'daily-nav-label';
+        const day = new Date(`${daily.date}T00:00:00Z`).toLocaleDateString(undefined, {
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric',
+            timeZone: 'UTC'
+        });
+        label.textContent = `☀️ Comic of the day · ${day}`;
+        
+        const next = document.createElement('button');
+        next.className = 'series-nav-btn';
+        next.textContent = 'Next day ▶';
+        next.disabled = !daily.nextDate;
+        next.addEventListener('click', () => onDay?.(daily.nextDate));
+        
+        nav.append(prev, label, next);
+        
+        const titleContainer = wrapper.querySelector('.comic-title-container');
+        if (titleContainer) {
+            titleContainer.after(nav);
+        } else {
+            wrapper.prepend(nav);
+        }
+    }
+
     /**
      * Animate panels appearing in sequence.
      */
@@ -436,6 +628,27 @@ export default class ComicRenderer {
         this.container.innerHTML = `\n            <div class="error-state">\n                <div class="error-icon">😵</div>\n                <h3>Oops!</h3>\n                <p>${message}</p>\n            </div>\n        `;
     }
 
+    /**
+     * Show the schema validation errors that prevented a comic from rendering.
+     * @param {string[]} errors - Validation errors.
+     */
+    showValidationErrors(errors) {
+        this.showError('This comic could not be displayed because its data is invalid:');
+        const list = document.createElement('ul');
+        list.className = 'validation-errors';
+        errors.slice(0, 10).forEach(error => {
+            const item = document.createElement('li');
+            item.textContent = error;
+            list.appendChild(item);
+        });
+        if (errors.length > 10) {
+            const more = document.createElement('li');
+            more.textContent = `…and ${errors.length - 10} more`;
+            list.appendChild(more);
+        }
+        this.container.querySelector('.error-state')?.appendChild(list);
+    }
+
     /**
      * Clear the comic container.
      */
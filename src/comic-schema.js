@@ -0,0 +1,447 @@
+/**
+ * Comic document schema shared by the API and the frontend.
+ * Defines the stored comic shape as JSON Schema, validates documents against it
+ * and repairs the faults model output commonly has.
+ */
+
+export const COMIC_SCHEMA_VERSION = 2;
+
+export const CHARACTER_STYLE_COUNT = 5;
+export const CHARACTER_EFFECTS = ['shake', 'bounce'];
+export const DIALOGUE_TYPES = ['speech', 'thought', 'narration'];
+export const DIALOGUE_STYLES = ['normal', 'angry', 'excited', 'sad'];
+
+const DEFAULT_EMOJI = '😊';
+const EMOJI = /\p{Extended_Pictographic}(?:\u{FE0F}|\u200D\p{Extended_Pictographic}|\p{Emoji_Modifier})*/u;
+
+const stringList = { type: 'array', items: { type: 'string' } };
+
+/**
+ * JSON Schema (draft 2020-12) for comic documents.
+ * Unknown properties are allowed so newer fields do not invalidate older readers.
+ * @readonly
+ * @type {Object}
+ */
+export const COMIC_SCHEMA = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: `nrrds:comic/v${COMIC_SCHEMA_VERSION}`,
+    title: 'Comic',
+    type: 'object',
+    required: ['id', 'title', 'panels'],
+    properties: {
+        id: { type: 'string', minLength: 1, maxLength: 200 },
+        version: { type: 'integer', minimum: 1, maximum: COMIC_SCHEMA_VERSION },
+        title: { type: 'string', minLength: 1, maxLength: 200 },
+        panels: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 12,
+            items: {
+                type: 'object',
+                required: ['characters', 'dialogue'],
+                properties: {
+                    header: { type: 'string', maxLength: 300 },
+                    background: { type: 'string' },
+                    characters: {
+                        type: 'array',
+                        maxItems: 8,
+                        items: {
+                            type: 'object',
+                            required: ['name', 'emoji'],
+                            properties: {
+                                name: { type: 'string', minLength: 1, maxLength: 60, pattern: '^[^\\p{Extended_Pictographic}]+$' },
+                                emoji: { type: 'string', minLength: 1, maxLength: 32 },
+                                style: { type: 'integer', minimum: 1, maximum: CHARACTER_STYLE_COUNT },
+                                effect: { type: ['string', 'null'], enum: [null, ...CHARACTER_EFFECTS] }
+                            }
+                        }
+                    },
+                    dialogue: {
+                        type: 'array',
+                        minItems: 1,
+                        items: {
+                            type: 'object',
+                            required: ['text'],
+                            properties: {
+                                text: { type: 'string', minLength: 1, maxLength: 1000 },
+                                speaker: { type: 'string', minLength: 1, maxLength: 60 },
+                                type: { type: 'string', enum: DIALOGUE_TYPES },
+                                style: { type: 'string', enum: DIALOGUE_STYLES }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        direction: {
+            type: 'object',
+            properties: {
+                topic: { type: 'string', maxLength: 200 },
+                setting: { type: 'string', maxLength: 150 },
+                cast: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['name'],
+                        properties: {
+                            name: { type: 'string', minLength: 1 },
+                            emoji: { type: ['string', 'null'] }
+                        }
+                    }
+                },
+                styleRefs: stringList
+            }
+        },
+        series: {
+            type: 'object',
+            required: ['id', 'episode'],
+            properties: {
+                id: { type: 'string', minLength: 1 },
+                title: { type: 'string', maxLength: 80 },
+                episode: { type: 'integer', minimum: 1 }
+            }
+        },
+        moderation: {
+            type: 'object',
+            required: ['status'],
+            properties: {
+                status: { type: 'string', enum: ['pass', 'flagged', 'blocked'] },
+                labels: { type: 'object' },
+                flagged: stringList,
+                blockedBy: stringList,
+                classifiers: { type: 'array' },
+                attempts: { type: 'integer', minimum: 1 },
+                checkedAt: { type: 'string' }
+            }
+        },
+        judging: {
+            type: 'object',
+            required: ['winner', 'candidates'],
+            properties: {
+                winner: { type: 'integer', minimum: 0 },
+                candidates: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            temperature: { type: ['number', 'null'] },
+                            requestedTemperature: { type: 'number' },
+                            model: { type: 'string' },
+                            scores: { type: ['object', 'null'] },
+                            script: { type: 'string' },
+                            judgeError: { type: 'string' }
+                        }
+                    }
+                }
+            }
+        },
+        generatedBy: {
+            type: 'object',
+            required: ['model'],
+            properties: {
+                provider: { type: 'string' },
+                model: { type: 'string', minLength: 1 },
+                reasoningEffort: { type: ['string', 'null'] },
+                attempts: { type: 'integer', minimum: 1 },
+                fallbackFrom: { type: 'string' }
+            }
+        },
+        generationSettings: {
+            type: 'object',
+            properties: {
+                humorLevel: { type: 'number', minimum: 0, maximum: 11 },
+                panelCount: { type: 'integer', minimum: 1, maximum: 12 },
+                styleRefs: stringList
+            }
+        },
+        tokens: stringList,
+        concepts: stringList,
+        generationContext: {
+            type: 'object',
+            properties: {
+                avoidedTokens: stringList,
+                encouragedTokens: stringList,
+                avoidedConcepts: stringList,
+                encouragedConcepts: stringList
+            }
+        },
+        urlNavigation: {
+            type: 'object',
+            required: ['slug'],
+            properties: {
+                slug: { type: 'string', minLength: 1 },
+                generatedAt: { type: 'string' }
+            }
+        },
+        timestamp: { type: 'string' },
+        createdAt: { type: 'string' },
+        generationTemperature: { type: 'number', minimum: 0, maximum: 2 },
+        bandit: {
+            type: 'object',
+            required: ['arm'],
+            properties: {
+                arm: { type: 'string', minLength: 1 },
+                strategy: { type: 'string' },
+                concept: { type: 'string' },
+                temperature: { type: 'number', minimum: 0, maximum: 1 },
+                scope: { type: 'string' },
+                posterior: { type: 'object' },
+                arms: { type: 'array' },
+                chosenAt: { type: 'string' }
+            }
+        },
+        similarity: {
+            type: 'object',
+            required: ['nearestId', 'score', 'duplicate'],
+            properties: {
+                nearestId: { type: 'string', minLength: 1 },
+                nearestTitle: { type: ['string', 'null'] },
+                score: { type: 'number', minimum: -1, maximum: 1 },
+                duplicate: { type: 'boolean' },
+                rewrites: { type: 'integer', minimum: 0 },
+                checkedAt: { type: 'string' }
+            }
+        }
+    }
+};
+
+/**
+ * Error thrown when a comic document fails validation
+ */
+export class ComicValidationError extends Error {
+    /**
+     * @param {string[]} errors - Validation errors with JSON paths
+     */
+    constructor(errors) {
+        super(`Invalid comic: ${errors.slice(0, 5).join('; ')}${errors.length > 5 ? ` (+${errors.length - 5} more)` : ''}`);
+        this.name = 'ComicValidationError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Validate a comic against the schema and the cross-field rules JSON Schema cannot express
+ * @param {Object} comic - Comic document
+ * @returns {{valid: boolean, errors: string[]}} Validation result; errors are prefixed with their path
+ */
+export function validateComic(comic) {
+    const errors = [];
+    checkValue(comic, COMIC_SCHEMA, 'comic', errors);
+
+    (Array.isArray(comic?.panels) ? comic.panels : []).forEach((panel, panelIndex) => {
+        if (!Array.isArray(panel?.characters) || !Array.isArray(panel.dialogue)) return;
+        const names = panel.characters.map(c => c?.name);
+        panel.dialogue.forEach((line, lineIndex) => {
+            if (!line || typeof line !== 'object') return;
+            const path = `comic.panels[${panelIndex}].dialogue[${lineIndex}]`;
+            if (line.type !== 'narration' && !line.speaker && names.length > 1) {
+                errors.push(`${path}.speaker: required when a panel has several characters`);
+            }
+            if (line.speaker && line.type !== 'narration' && !names.includes(line.speaker)) {
+                errors.push(`${path}.speaker: "${line.speaker}" is not in the panel's characters`);
+            }
+        });
+    });
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validate a comic, throwing if it does not conform
+ * @param {Object} comic - Comic document
+ * @returns {Object} The same comic
+ * @throws {ComicValidationError} When the document is invalid
+ */
+export function assertValidComic(comic) {
+    const { valid, errors } = validateComic(comic);
+    if (!valid) {
+        throw new ComicValidationError(errors);
+    }
+    return comic;
+}
+
+/**
+ * Fix common faults in generated comics without changing their content:
+ * emoji inside character names, speakers missing from a panel's characters,
+ * out-of-range styles, unknown effects/types and legacy single-character panels.
+ * @param {Object} comic - Comic document (not modified)
+ * @returns {{comic: Object, repairs: string[]}} Repaired copy and a description of each fix
+ */
+export function repairComic(comic) {
+    const repairs = [];
+    if (!comic || typeof comic !== 'object' || !Array.isArray(comic.panels)) {
+        return { comic, repairs };
+    }
+
+    const fixed = JSON.parse(JSON.stringify(comic));
+    if (typeof fixed.title === 'string' && fixed.title !== fixed.title.trim()) {
+        fixed.title = fixed.title.trim();
+        repairs.push('comic.title: trimmed whitespace');
+    }
+
+    // Emoji and style known for each character anywhere in the comic
+    const knownEmoji = new Map();
+    const knownStyle = new Map();
+
+    fixed.panels.forEach((panel, panelIndex) => {
+        const path = `comic.panels[${panelIndex}]`;
+        if (!panel || typeof panel !== 'object') return;
+
+        if (!Array.isArray(panel.characters)) {
+            panel.characters = panel.character ? [panel.character] : [];
+            delete panel.character;
+            repairs.push(`${path}.characters: ${panel.characters.length ? 'converted legacy single character' : 'added empty list'}`);
+        }
+        if (typeof panel.dialogue === 'string') {
+            panel.dialogue = [panel.dialogue];
+        }
+
+        panel.characters = panel.characters.filter(Boolean).map((character, index) => {
+            const charPath = `${path}.characters[${index}]`;
+            const entry = typeof character === 'string' ? { name: character } : { ...character };
+            const { name, emoji } = splitNameAndEmoji(entry.name);
+            if (name !== entry.name) {
+                repairs.push(`${charPath}.name: moved emoji out of "${entry.name}"`);
+                entry.name = name;
+                entry.emoji = entry.emoji || emoji;
+            }
+            if (entry.emoji && !knownEmoji.has(entry.name)) knownEmoji.set(entry.name, entry.emoji);
+            return entry;
+        });
+
+        panel.dialogue = (Array.isArray(panel.dialogue) ? panel.dialogue : []).filter(Boolean).map((line, index) => {
+            const linePath = `${path}.dialogue[${index}]`;
+            const entry = typeof line === 'string' ? { text: line } : { ...line };
+            if (typeof line === 'string') repairs.push(`${linePath}: converted plain string`);
+
+            if (entry.speaker) {
+                const { name, emoji } = splitNameAndEmoji(entry.speaker);
+                if (name !== entry.speaker) {
+                    repairs.push(`${linePath}.speaker: moved emoji out of "${entry.speaker}"`);
+                    entry.speaker = name;
+                    if (emoji && !knownEmoji.has(name)) knownEmoji.set(name, emoji);
+                }
+            }
+            if (!DIALOGUE_TYPES.includes(entry.type)) {
+                if (entry.type !== undefined) repairs.push(`${linePath}.type: "${entry.type}" replaced with "speech"`);
+                entry.type = 'speech';
+            }
+            if (!DIALOGUE_STYLES.includes(entry.style)) {
+                if (entry.style !== undefined) repairs.push(`${linePath}.style: "${entry.style}" replaced with "normal"`);
+                entry.style = 'normal';
+            }
+            if (typeof entry.text === 'string') entry.text = entry.text.trim();
+            return entry;
+        });
+
+        panel.characters.forEach(character => {
+            const style = Number(character.style);
+            if (Number.isInteger(style) && style >= 1 && style <= CHARACTER_STYLE_COUNT && !knownStyle.has(character.name)) {
+                knownStyle.set(character.name, style);
+            }
+        });
+    });
+
+    // Second pass: needs emoji and styles from every panel
+    fixed.panels.forEach((panel, panelIndex) => {
+        const path = `comic.panels[${panelIndex}]`;
+        if (!panel || !Array.isArray(panel.characters)) return;
+
+        panel.dialogue.forEach(line => {
+            if (line.speaker && line.type !== 'narration' && !panel.characters.some(c => c.name === line.speaker)) {
+                panel.characters.push({ name: line.speaker, emoji: knownEmoji.get(line.speaker) || DEFAULT_EMOJI, effect: null });
+                repairs.push(`${path}.characters: added missing speaker "${line.speaker}"`);
+            }
+        });
+
+        panel.characters.forEach((character, index) => {
+            const charPath = `${path}.characters[${index}]`;
+            if (!character.emoji) {
+                character.emoji = knownEmoji.get(character.name) || DEFAULT_EMOJI;
+                repairs.push(`${charPath}.emoji: filled in "${character.emoji}"`);
+            }
+
+            const style = Number(character.style);
+            if (!Number.isInteger(style) || style < 1 || style > CHARACTER_STYLE_COUNT) {
+                if (!knownStyle.has(character.name)) {
+                    knownStyle.set(character.name, (knownStyle.size % CHARACTER_STYLE_COUNT) + 1);
+                }
+                if (character.style !== undefined) {
+                    repairs.push(`${charPath}.style: ${JSON.stringify(character.style)} replaced with ${knownStyle.get(character.name)}`);
+                }
+                character.style = knownStyle.get(character.name);
+            } else {
+                character.style = style;
+            }
+
+            if (character.effect !== null && !CHARACTER_EFFECTS.includes(character.effect)) {
+                if (character.effect !== undefined) repairs.push(`${charPath}.effect: "${character.effect}" removed`);
+                character.effect = null;
+            }
+        });
+    });
+
+    return { comic: fixed, repairs };
+}
+
+// "Lina (🧢)" / "🧢 Lina" -> { name: 'Lina', emoji: '🧢' }
+function splitNameAndEmoji(value) {
+    if (typeof value !== 'string') return { name: value, emoji: null };
+    const emoji = value.match(EMOJI)?.[0] || null;
+    if (!emoji) return { name: value.trim(), emoji: null };
+
+    const name = value
+        .replace(new RegExp(EMOJI.source, 'gu'), '')
+        .replace(/\(\s*\)/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+    return { name: name || value.trim(), emoji };
+}
+
+// Minimal JSON Schema evaluator for the keywords COMIC_SCHEMA uses
+function checkValue(value, schema, path, errors) {
+    if (schema.type && !matchesType(value, schema.type)) {
+        errors.push(`${path}: expected ${[].concat(schema.type).join(' or ')}`);
+        return;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path}: must not be empty`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path}: longer than ${schema.maxLength} characters`);
+        if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) errors.push(`${path}: "${value}" has an invalid format`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be at least ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be at most ${schema.maximum}`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path}: needs at least ${schema.minItems} item(s)`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path}: has more than ${schema.maxItems} items`);
+        if (schema.items) value.forEach((item, index) => checkValue(item, schema.items, `${path}[${index}]`, errors));
+    } else if (value && typeof value === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined || value[key] === null) errors.push(`${path}.${key}: is required`);
+        });
+        Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+            if (value[key] !== undefined) checkValue(value[key], propertySchema, `${path}.${key}`, errors);
+        });
+    }
+}
+
+function matchesType(value, type) {
+    return [].concat(type).some(t => {
+        switch (t) {
+            case 'null': return value === null;
+            case 'array': return Array.isArray(value);
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'integer': return Number.isInteger(value);
+            case 'number': return typeof value === 'number' && Number.isFinite(value);
+            default: return typeof value === t;
+        }
+    });
+}
@@ -7,41 +7,9 @@ export const CONFIG = {
     // Local storage keys
     STORAGE_KEYS: {
         USER_ID: 'comic_user_id',
-        USER_PREFERENCES: 'user_preferences'
-    },
-    
-    // Feedback settings
-    FEEDBACK_TYPES: {
-        // Most positive (weight 2.0 - 1.5)
-        thumbsup: { emoji: '👍', weight: 2.0 },
-        lol: { emoji: '😂', weight: 1.9 },
-        heartwarming: { emoji: '🫶', weight: 1.8 },
-        awesome: { emoji: '🤩', weight: 1.7 },
-        inspired: { emoji: '💡', weight: 1.6 },
-        unique: { emoji: '🦄', weight: 1.5 },
-        
-        // Positive (weight 1.4 - 1.0)
-        mindblown: { emoji: '🤯', weight: 1.4 },
-        celebrating: { emoji: '🥳', weight: 1.3 },
-        deep: { emoji: '🤔', weight: 1.2 },
-        relatable: { emoji: '🙋', weight: 1.1 },
-        
-        // Neutral (weight 1.0 to -0.5)
-        confused: { emoji: '😕', weight: 0.2 },
-        meh: { emoji: '😐', weight: 0 },
-        sad: { emoji: '😢', weight: -0.3 },
-        spooked: { emoji: '😱', weight: -0.5 },
-        
-        // Negative (weight -0.8 to -1.5)
-        gross: { emoji: '🤢', weight: -0.8 },
-        cringe: { emoji: '😬', weight: -1.0 },
-        angry: { emoji: '😠', weight: -1.2 },
-        facepalm: { emoji: '🤦', weight: -1.3 },
-        eyeroll: { emoji: '🙄', weight: -1.4 },
-        skeptical: { emoji: '🧐', weight: -1.5 },
-        
-        // Most negative (weight -1.8 to -2.0)
-        offended: { emoji: '🚫', weight: -2.0 }
+        USER_PREFERENCES: 'user_preferences',
+        PENDING_JOB: 'pending_generation_job',
+        GENERATION_SETTINGS: 'generation_settings'
     },
     
     // LLM token analysis settings
@@ -52,38 +20,39 @@ export const CONFIG = {
         EXPLORATION_BOOST: 0.2 // Encourage trying new token combinations
     },
     
-    // Generation temperature settings for exploration vs exploitation
-    GENERATION_TEMPERATURE: {
-        MIN_TEMP: 0.0, // Full exploitation (follow all feedback)
-        MAX_TEMP: 1.0, // Full exploration (ignore all feedback)
-        DEFAULT_TEMP: 0.3, // Balanced default
-        // Temperature profiles
-        EXPLOIT_RANGE: [0.0, 0.3], // Strict adherence to feedback
-        BALANCED_RANGE: [0.3, 0.7], // Mixed approach
-        EXPLORE_RANGE: [0.7, 1.0], // High creativity/exploration
-        // Dynamic calculation parameters
-        NEW_USER_THRESHOLD: 5, // Reactions needed to be considered "experienced"
-        HIGH_TEMP_FREQUENCY: 0.15, // 15% of comics should be high-temperature
-        EXPLORATION_COOLDOWN: 3 // Comics between high-temp generations
+    // User-adjustable generation controls
+    GENERATION_SETTINGS: {
+        HUMOR_LEVEL_MIN: 0,
+        HUMOR_LEVEL_MAX: 11, // The funny dial goes to 11
+        DEFAULT_HUMOR_LEVEL: 8,
+        PANEL_COUNTS: [3, 4],
+        DEFAULT_PANEL_COUNT: 3,
+        MAX_STYLE_REFS: 5,
+        STYLE_REF_MAX_LENGTH: 60
     },
     
     // UI settings
     UI: {
-        LOADING_DELAY: 300 // Minimum loading time for better UX
+        LOADING_DELAY: 300, // Minimum loading time for better UX
+        JOB_POLL_INTERVAL: 2000, // How often to check on a background generation job
+        JOB_POLL_TIMEOUT: 6 * 60 * 1000, // Past the server's 5-minute generation limit, by when the job has failed
+        FEED_PAGE_SIZE: 10, // Recommended comics fetched at a time for Next
+        FEED_EXCLUDE_LIMIT: 100, // Most recently shown comic IDs sent along to skip; the API takes up to 100
+        SIMILAR_COMICS: 5 // Similar comics listed under each comic
     },
     
     // Error messages
     ERRORS: {
         GENERATION_FAILED: 'Failed to generate comic. Please try again.',
-        FEEDBACK_FAILED: 'Failed to submit reaction. Please try again.'
+        FEEDBACK_FAILED: 'Failed to submit reaction. Please try again.',
+        RATE_LIMITED: 'You are going a bit fast. Please try again in a moment.'
     }
 };
 
 // Freeze the configuration to prevent accidental modifications
 Object.freeze(CONFIG);
 Object.freeze(CONFIG.STORAGE_KEYS);
-Object.freeze(CONFIG.FEEDBACK_TYPES);
 Object.freeze(CONFIG.TOKEN_ANALYSIS);
-Object.freeze(CONFIG.GENERATION_TEMPERATURE);
+Object.freeze(CONFIG.GENERATION_SETTINGS);
 Object.freeze(CONFIG.UI);
 Object.freeze(CONFIG.ERRORS);
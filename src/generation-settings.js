@@ -0,0 +1,76 @@
+import { CONFIG } from './config.js';
+
+const LIMITS = CONFIG.GENERATION_SETTINGS;
+
+/**
+ * Humor level, panel count and style references chosen by the user.
+ * Persisted in localStorage and sent with every generation request.
+ */
+export default class GenerationSettings {
+    /**
+     * Default settings.
+     * @returns {{humorLevel: number, panelCount: number, styleRefs: string[]}}
+     */
+    static defaults() {
+        return {
+            humorLevel: LIMITS.DEFAULT_HUMOR_LEVEL,
+            panelCount: LIMITS.DEFAULT_PANEL_COUNT,
+            styleRefs: []
+        };
+    }
+
+    /**
+     * Clamp and clean settings from storage or form input.
+     * @param {Object} [input={}] - Raw settings; `styleRefs` may be an array or comma separated string.
+     * @returns {{humorLevel: number, panelCount: number, styleRefs: string[]}} Valid settings.
+     */
+    static normalize(input = {}) {
+        const defaults = GenerationSettings.defaults();
+
+        const humorLevel = Number.parseInt(input.humorLevel, 10);
+        const panelCount = Number.parseInt(input.panelCount, 10);
+        const styleRefs = (Array.isArray(input.styleRefs) ? input.styleRefs : String(input.styleRefs || '').split(','))
+            .map(ref => String(ref).replace(/\s+/g, ' ').trim().slice(0, LIMITS.STYLE_REF_MAX_LENGTH))
+            .filter(Boolean)
+            .slice(0, LIMITS.MAX_STYLE_REFS);
+
+        return {
+            humorLevel: Number.isFinite(humorLevel)
+                ? Math.max(LIMITS.HUMOR_LEVEL_MIN, Math.min(LIMITS.HUMOR_LEVEL_MAX, humorLevel))
+                : defaults.humorLevel,
+            panelCount: LIMITS.PANEL_COUNTS.includes(panelCount) ? panelCount : defaults.panelCount,
+            styleRefs
+        };
+    }
+
+    /**
+     * Load the saved settings.
+     * @returns {{humorLevel: number, panelCount: number, styleRefs: string[]}}
+     */
+    get() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEYS.GENERATION_SETTINGS) || '{}');
+            return GenerationSettings.normalize({ ...GenerationSettings.defaults(), ...stored });
+        } catch (e) {
+            return GenerationSettings.defaults();
+        }
+    }
+
+    /**
+     * Save settings, cleaning them first.
+     * @param {Object} settings - Settings to save.
+     * @returns {{humorLevel: number, panelCount: number, styleRefs: string[]}} The saved settings.
+     */
+    save(settings) {
+        const normalized = GenerationSettings.normalize(settings);
+        try {
+            localStorage.setItem(CONFIG.STORAGE_KEYS.GENERATION_SETTINGS, JSON.stringify(normalized));
+        } catch (e) {
+            // Ignore localStorage errors
+        }
+        return normalized;
+    }
+}
+
+const generationSettings = new GenerationSettings();
+export { generationSettings };
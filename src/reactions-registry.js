@@ -0,0 +1,80 @@
+/**
+ * Reaction registry shared by the API and the frontend.
+ * The one list of reaction types: what the buttons show, what the API accepts,
+ * and the weight and sentiment every score and stat is computed from.
+ * Adding a reaction here adds its button, validation and scoring everywhere.
+ */
+
+export const SENTIMENTS = ['positive', 'neutral', 'negative'];
+
+// Each user may give a comic up to this many reactions, each type at most once
+export const MAX_REACTIONS_PER_COMIC = 3;
+
+/**
+ * Reactions in button order. Weights run from 2.0 (most positive) to -2.0 (most negative).
+ * @readonly
+ * @type {Array<{type: string, emoji: string, label: string, weight: number, sentiment: string}>}
+ */
+export const REACTIONS = Object.freeze([
+    { type: 'thumbsup', emoji: '👍', label: 'Thumbs Up', weight: 2.0, sentiment: 'positive' },
+    { type: 'lol', emoji: '😂', label: 'LOL', weight: 1.9, sentiment: 'positive' },
+    { type: 'heartwarming', emoji: '🫶', label: 'Heart‑warming', weight: 1.8, sentiment: 'positive' },
+    { type: 'awesome', emoji: '🤩', label: 'Awesome', weight: 1.7, sentiment: 'positive' },
+    { type: 'inspired', emoji: '💡', label: 'Inspired', weight: 1.6, sentiment: 'positive' },
+    { type: 'unique', emoji: '🦄', label: 'Unique', weight: 1.5, sentiment: 'positive' },
+    { type: 'mindblown', emoji: '🤯', label: 'Mind‑blown', weight: 1.4, sentiment: 'positive' },
+    { type: 'confused', emoji: '😕', label: 'Confused', weight: 0.2, sentiment: 'neutral' },
+    { type: 'meh', emoji: '😐', label: 'Meh', weight: 0, sentiment: 'neutral' },
+    { type: 'sad', emoji: '😢', label: 'Sad', weight: -0.3, sentiment: 'neutral' },
+    { type: 'spooked', emoji: '😱', label: 'Spooked', weight: -0.5, sentiment: 'neutral' },
+    { type: 'gross', emoji: '🤢', label: 'Gross', weight: -0.8, sentiment: 'negative' },
+    { type: 'cringe', emoji: '😬', label: 'Cringe', weight: -1.0, sentiment: 'negative' },
+    { type: 'angry', emoji: '😠', label: 'Angry', weight: -1.2, sentiment: 'negative' },
+    { type: 'offended', emoji: '🙅', label: 'Offended', weight: -2.0, sentiment: 'negative' },
+    { type: 'celebrating', emoji: '🥳', label: 'Celebrating', weight: 1.3, sentiment: 'positive' },
+    { type: 'deep', emoji: '🤔', label: 'Deep', weight: 1.2, sentiment: 'positive' },
+    { type: 'facepalm', emoji: '🤦', label: 'Facepalm', weight: -1.3, sentiment: 'negative' },
+    { type: 'eyeroll', emoji: '🙄', label: 'Eye‑roll', weight: -1.4, sentiment: 'negative' },
+    { type: 'skeptical', emoji: '🧐', label: 'Skeptical', weight: -1.5, sentiment: 'negative' },
+    { type: 'relatable', emoji: '🙋', label: 'Relatable', weight: 1.1, sentiment: 'positive' }
+].map(reaction => Object.freeze(reaction)));
+
+export const REACTION_TYPES = Object.freeze(REACTIONS.map(reaction => reaction.type));
+
+const BY_TYPE = new Map(REACTIONS.map(reaction => [reaction.type, reaction]));
+
+/**
+ * Looks up a reaction type.
+ * @param {string} type - Reaction type, e.g. 'lol'.
+ * @returns {object|null} Registry entry, or null for unknown types.
+ */
+export function getReaction(type) {
+    return BY_TYPE.get(type) || null;
+}
+
+/**
+ * Whether a reaction type exists.
+ * @param {string} type - Reaction type.
+ * @returns {boolean} True if known.
+ */
+export function isReactionType(type) {
+    return BY_TYPE.has(type);
+}
+
+/**
+ * Weight of a reaction type.
+ * @param {string} type - Reaction type.
+ * @returns {number} Weight, or 0 for unknown types.
+ */
+export function reactionWeight(type) {
+    return BY_TYPE.get(type)?.weight ?? 0;
+}
+
+/**
+ * Reaction types in a sentiment bucket.
+ * @param {string} sentiment - 'positive', 'neutral' or 'negative'.
+ * @returns {string[]} Reaction types.
+ */
+export function reactionTypesBySentiment(sentiment) {
+    return REACTIONS.filter(reaction => reaction.sentiment === sentiment).map(reaction => reaction.type);
+}
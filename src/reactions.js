@@ -1,5 +1,6 @@
 import comicAPI from './api.js';
 import { CONFIG } from './config.js';
+import { REACTIONS, MAX_REACTIONS_PER_COMIC, getReaction, reactionWeight } from './reactions-registry.js';
 
 /**
  * Reactions system for collecting user reactions to comics
@@ -25,9 +26,33 @@ export default class ReactionsSystem {
         this.isProcessingQueue = false;
         /** @type {boolean} Flag to prevent stats reload immediately after optimistic update */
         this.justUpdatedOptimistically = false;
+        this.renderButtons();
         this.initializeEventListeners();
     }
 
+    /**
+     * Render one reaction button per registry entry
+     */
+    renderButtons() {
+        if (!this.reactionsGrid) return;
+        this.reactionsGrid.replaceChildren(...REACTIONS.map(reaction => {
+            const btn = document.createElement('button');
+            btn.className = 'emoji-btn';
+            btn.setAttribute('data-reaction', reaction.type);
+            
+            const emoji = document.createElement('span');
+            emoji.className = 'emoji';
+            emoji.textContent = reaction.emoji;
+            
+            const label = document.createElement('span');
+            label.className = 'label';
+            label.textContent = reaction.label;
+            
+            btn.append(emoji, label);
+            return btn;
+        }));
+    }
+
     /**
      * Initialize event listeners for reaction buttons
      */
@@ -68,7 +93,7 @@ export default class ReactionsSystem {
                     btn.classList.add('selected');
                 }
             });
-            if (previousReactionSet.size >= 3) {
+            if (previousReactionSet.size >= MAX_REACTIONS_PER_COMIC) {
                 this.disableUnselectedButtons();
             }
         }
@@ -106,12 +131,12 @@ export default class ReactionsSystem {
             reactionSet.delete(reactionType);
             btn.classList.remove('selected');
             
-            if (reactionSet.size < 3) {
+            if (reactionSet.size < MAX_REACTIONS_PER_COMIC) {
                 this.enableReactionButtons();
             }
             this.submitReactionImmediately(reactionType, btn, true);
         } else {
-            if (reactionSet.size < 3) {
+            if (reactionSet.size < MAX_REACTIONS_PER_COMIC) {
                 reactionSet.add(reactionType);
                 btn.classList.add('selected');
                 
@@ -120,7 +145,7 @@ export default class ReactionsSystem {
                     btn.style.transform = '';
                 }, 100);
                 
-                if (reactionSet.size >= 3) {
+                if (reactionSet.size >= MAX_REACTIONS_PER_COMIC) {
                     this.disableUnselectedButtons();
                 }
                 this.submitReactionImmediately(reactionType, btn, false);
@@ -272,7 +297,7 @@ export default class ReactionsSystem {
         
         // If this is the first reaction on a comic with no existing reactions
         if (!statsElement.innerHTML.includes('reaction-stat') && !isDecrement) {
-            const reactionData = CONFIG.FEEDBACK_TYPES[reactionType];
+            const reactionData = getReaction(reactionType);
             if (reactionData) {
                 const maxSize = 3.5; // Match the max size from displayStats
                 statsElement.innerHTML = `
@@ -317,7 +342,7 @@ export default class ReactionsSystem {
 
         // If this is a new reaction type, add it to the display
         if (!foundStat && !isDecrement) {
-            const reactionData = CONFIG.FEEDBACK_TYPES[reactionType];
+            const reactionData = getReaction(reactionType);
             if (reactionData) {
                 const allReactionsDiv = statsElement.querySelector('.all-reactions');
                 if (allReactionsDiv) {
@@ -391,22 +416,37 @@ export default class ReactionsSystem {
         }
         
         this.isProcessingQueue = true;
+        // The server's record of each comic's reactions, applied once the queue is empty
+        const serverReactions = new Map();
         
         while (this.submissionQueue.length > 0) {
             const submission = this.submissionQueue.shift();
             try {
                 const currentComic = this.getCurrentComic();
-                await comicAPI.submitFeedback(submission.comicId, submission.reactionType, {
+                const result = await comicAPI.submitFeedback(submission.comicId, submission.reactionType, {
                     comicTokens: currentComic?.tokens || [],
                     semanticConcepts: currentComic?.concepts || [],
                     action: submission.isDecrement ? 'decrement' : 'increment'
                 });
+                if (Array.isArray(result?.reactions)) {
+                    serverReactions.set(submission.comicId, result.reactions);
+                }
             } catch (error) {
                 console.error('Failed to submit feedback:', error);
-                this.showReactionError();
+                if (error.status === 409 && Array.isArray(error.reactions)) {
+                    // Duplicate, over the limit, or already removed: show what the server has instead
+                    serverReactions.set(submission.comicId, error.reactions);
+                } else if (error.status === 429) {
+                    // The rest of the queue would be rejected too; the stats reload below restores the real counts
+                    this.submissionQueue = [];
+                    this.showRateLimitError(error.message);
+                } else {
+                    this.showReactionError();
+                }
             }
         }
         this.isProcessingQueue = false;
+        serverReactions.forEach((reactions, comicId) => this.syncReactions(comicId, reactions));
         // Don't immediately reload stats to avoid overwriting optimistic updates
         // Instead, reload after a delay to get the authoritative server data
         if (this.currentComicId) {
@@ -417,6 +457,32 @@ export default class ReactionsSystem {
         }
     }
 
+    /**
+     * Replace a comic's selected reactions with the ones the server recorded
+     * @param {string} comicId - The comic ID
+     * @param {string[]} reactions - Reaction types the user has given the comic
+     */
+    syncReactions(comicId, reactions) {
+        const reactionSet = new Set(reactions);
+        this.selectedReactions.set(comicId, reactionSet);
+        try {
+            localStorage.setItem(`comic_reactions_${comicId}`, JSON.stringify(reactions));
+        } catch (e) {
+            // Ignore localStorage errors
+        }
+        
+        if (comicId !== this.currentComicId) {
+            return;
+        }
+        this.resetButtonStates();
+        reactionSet.forEach(reactionType => {
+            document.querySelector(`[data-reaction="${reactionType}"]`)?.classList.add('selected');
+        });
+        if (reactionSet.size >= MAX_REACTIONS_PER_COMIC) {
+            this.disableUnselectedButtons();
+        }
+    }
+
     /**
      * Load and display reaction statistics for a comic
      * @param {string} comicId - The ID of the comic to load stats for
@@ -504,8 +570,8 @@ export default class ReactionsSystem {
                     return countB - countA;
                 }
                 // If counts are equal, sort by weight as tiebreaker
-                const weightA = CONFIG.FEEDBACK_TYPES[typeA]?.weight || 0;
-                const weightB = CONFIG.FEEDBACK_TYPES[typeB]?.weight || 0;
+                const weightA = reactionWeight(typeA);
+                const weightB = reactionWeight(typeB);
                 return weightB - weightA;
             });
         
@@ -519,7 +585,7 @@ export default class ReactionsSystem {
             
             statsHTML += '<div class="all-reactions">';
             allReactions.forEach(([type, count]) => {
-                const reactionData = CONFIG.FEEDBACK_TYPES[type];
+                const reactionData = getReaction(type);
                 console.log(`🎭 [DISPLAY DEBUG] Processing reaction ${type}:`, { count, reactionData });
                 if (reactionData && count > 0) {
                     // Calculate proportional size
@@ -564,14 +630,14 @@ export default class ReactionsSystem {
             
             prefs.reactionCounts[reactionType] = (prefs.reactionCounts[reactionType] || 0) + 1;
             
-            const reactionWeight = CONFIG.FEEDBACK_TYPES[reactionType]?.weight || 0;
+            const weight = reactionWeight(reactionType);
             
             if (comic?.tokens) {
-                this.updateTokenPreferences(prefs, comic.tokens, reactionWeight);
+                this.updateTokenPreferences(prefs, comic.tokens, weight);
             }
             
             if (comic?.concepts) {
-                this.updateConceptPreferences(prefs, comic.concepts, reactionWeight);
+                this.updateConceptPreferences(prefs, comic.concepts, weight);
             }
             
             prefs.lastFeedbackTime = new Date().toISOString();
@@ -598,7 +664,7 @@ export default class ReactionsSystem {
         prefs.preferenceWeights = {};
         
         Object.entries(prefs.reactionCounts).forEach(([type, count]) => {
-            const reactionData = CONFIG.FEEDBACK_TYPES[type];
+            const reactionData = getReaction(type);
             if (reactionData) {
                 const frequencyWeight = count / totalReactions;
                 const typeWeight = reactionData.weight;
@@ -661,72 +727,6 @@ export default class ReactionsSystem {
         return window.app?.getCurrentComic?.() || null;
     }
 
-    /**
-     * Calculate generation temperature based on user's reaction history and system needs
-     * @returns {number} Temperature value between 0.0 (exploit) and 1.0 (explore)
-     */
-    calculateGenerationTemperature() {
-        try {
-            const prefs = JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEYS.USER_PREFERENCES) || '{}');
-            const tempConfig = CONFIG.GENERATION_TEMPERATURE;
-            
-            // Calculate total user reactions
-            const totalReactions = prefs.reactionCounts ? 
-                Object.values(prefs.reactionCounts).reduce((sum, count) => sum + count, 0) : 0;
-            
-            // New users get higher temperature (more exploration)
-            const isNewUser = totalReactions < tempConfig.NEW_USER_THRESHOLD;
-            
-            // Get user's last temperature and generation count for cooldown
-            const lastGenerationTemp = prefs.lastGenerationTemperature || 0;
-            const generationsSinceHighTemp = prefs.generationsSinceHighTemp || 0;
-            
-            // Random exploration factor
-            const randomFactor = Math.random();
-            
-            // Base temperature calculation
-            let temperature;
-            
-            if (isNewUser) {
-                // New users: bias toward exploration (0.4-0.8 range)
-                temperature = 0.4 + (randomFactor * 0.4);
-            } else {
-                // Experienced users: check if it's time for high-temperature exploration
-                const shouldExplore = (
-                    randomFactor < tempConfig.HIGH_TEMP_FREQUENCY || 
-                    generationsSinceHighTemp >= tempConfig.EXPLORATION_COOLDOWN
-                );
-                
-                if (shouldExplore) {
-                    // High exploration phase
-                    temperature = tempConfig.EXPLORE_RANGE[0] + 
-                        (randomFactor * (tempConfig.EXPLORE_RANGE[1] - tempConfig.EXPLORE_RANGE[0]));
-                } else {
-                    // Normal exploitation phase
-                    temperature = tempConfig.EXPLOIT_RANGE[0] + 
-                        (randomFactor * (tempConfig.BALANCED_RANGE[1] - tempConfig.EXPLOIT_RANGE[0]));
-                }
-            }
-            
-            // Ensure temperature is within bounds
-            temperature = Math.max(tempConfig.MIN_TEMP, Math.min(tempConfig.MAX_TEMP, temperature));
-            
-            // Store temperature info for next calculation
-            prefs.lastGenerationTemperature = temperature;
-            prefs.generationsSinceHighTemp = temperature > tempConfig.BALANCED_RANGE[1] ? 0 : 
-                (prefs.generationsSinceHighTemp || 0) + 1;
-            
-            localStorage.setItem(CONFIG.STORAGE_KEYS.USER_PREFERENCES, JSON.stringify(prefs));
-            
-            console.log(`🌡️ [TEMPERATURE] Calculated: ${temperature.toFixed(3)} (new user: ${isNewUser}, total reactions: ${totalReactions})`);
-            return temperature;
-            
-        } catch (error) {
-            console.error('Failed to calculate generation temperature:', error);
-            return CONFIG.GENERATION_TEMPERATURE.DEFAULT_TEMP;
-        }
-    }
-
     /**
      * Get user preferences for comic generation
      * @returns {Object} User preferences object with feedback weights and token/concept preferences
@@ -735,66 +735,46 @@ export default class ReactionsSystem {
         try {
             const prefs = JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEYS.USER_PREFERENCES) || '{}');
             
-            // Calculate current generation temperature
-            const temperature = this.calculateGenerationTemperature();
-            
-            // Temperature dampening factor: higher temp = less weight on preferences
-            const temperatureDampening = 1.0 - temperature;
-            
+            // How closely a comic follows these is chosen on the server, per comic
             const preferences = {
-                reactionWeights: {},
+                reactionWeights: { ...(prefs.preferenceWeights || {}) },
                 tokenWeights: {},
                 conceptWeights: {},
                 avoidTokens: [],
                 encourageTokens: [],
                 encourageConcepts: [],
-                avoidConcepts: [],
-                generationTemperature: temperature
+                avoidConcepts: []
             };
             
-            // Apply temperature dampening to reaction weights
-            if (prefs.preferenceWeights) {
-                Object.entries(prefs.preferenceWeights).forEach(([type, weight]) => {
-                    preferences.reactionWeights[type] = weight * temperatureDampening;
-                });
-            }
-            
-            // Apply temperature dampening to token preferences
             if (prefs.tokenPreferences) {
                 Object.entries(prefs.tokenPreferences).forEach(([token, data]) => {
                     if (data.count >= CONFIG.TOKEN_ANALYSIS.MIN_TOKEN_FREQUENCY) {
-                        const adjustedWeight = data.weight * temperatureDampening;
-                        preferences.tokenWeights[token] = adjustedWeight;
+                        preferences.tokenWeights[token] = data.weight;
                         
-                        // Only add to avoid/encourage lists if weight is still significant after temperature adjustment
-                        if (adjustedWeight < -0.5) {
+                        if (data.weight < -0.5) {
                             preferences.avoidTokens.push(token);
-                        } else if (adjustedWeight > 0.5) {
+                        } else if (data.weight > 0.5) {
                             preferences.encourageTokens.push(token);
                         }
                     }
                 });
             }
             
-            // Apply temperature dampening to concept preferences
             if (prefs.conceptPreferences) {
                 Object.entries(prefs.conceptPreferences).forEach(([concept, data]) => {
                     if (data.count >= CONFIG.TOKEN_ANALYSIS.MIN_TOKEN_FREQUENCY) {
-                        const adjustedWeight = data.weight * temperatureDampening;
-                        preferences.conceptWeights[concept] = adjustedWeight;
+                        preferences.conceptWeights[concept] = data.weight;
                         
-                        // Only add to avoid/encourage lists if weight is still significant after temperature adjustment
-                        if (adjustedWeight < -0.5) {
+                        if (data.weight < -0.5) {
                             preferences.avoidConcepts.push(concept);
-                        } else if (adjustedWeight > 0.5) {
+                        } else if (data.weight > 0.5) {
                             preferences.encourageConcepts.push(concept);
                         }
                     }
                 });
             }
             
-            console.log(`🌡️ [PREFERENCES] Applied temperature ${temperature.toFixed(3)} (dampening: ${temperatureDampening.toFixed(3)}) to preferences`);
-            console.log(`🌡️ [PREFERENCES] Adjusted weights - Tokens: ${Object.keys(preferences.tokenWeights).length}, Concepts: ${Object.keys(preferences.conceptWeights).length}`);
+            console.log(`🎯 [PREFERENCES] Weights - Tokens: ${Object.keys(preferences.tokenWeights).length}, Concepts: ${Object.keys(preferences.conceptWeights).length}`);
             
             return preferences;
         } catch (error) {
@@ -804,7 +784,7 @@ export default class ReactionsSystem {
     }
 
     /**
-     * Disable only unselected reaction buttons when 3 selections are made
+     * Disable only unselected reaction buttons when the maximum number of reactions is selected
      */
     disableUnselectedButtons() {
         document.querySelectorAll('.emoji-btn').forEach(btn => {
@@ -11,13 +11,35 @@ export default class URLRouter {
     /**
      * Generate URL slug from comic ID (simplified)
      * @param {Object} comic - Comic object with ID
-     * @returns {string} URL slug (just the comic ID)
+     * @returns {string} URL slug: the comic ID, or `series/{seriesId}/{episode}` for series episodes
      */
     generateSlug(comic) {
         if (!comic || !comic.id) return '';
+        if (comic.series?.id && comic.series.episode) {
+            return this.generateSeriesSlug(comic.series.id, comic.series.episode);
+        }
         return comic.id;
     }
 
+    /**
+     * Generate URL slug for a series episode
+     * @param {string} seriesId - Series ID
+     * @param {number} episode - Episode number (1-based)
+     * @returns {string} URL slug
+     */
+    generateSeriesSlug(seriesId, episode) {
+        return `series/${seriesId}/${episode}`;
+    }
+
+    /**
+     * Generate URL slug for a day's comic of the day
+     * @param {string} date - Day (YYYY-MM-DD)
+     * @returns {string} URL slug
+     */
+    generateDaySlug(date) {
+        return `day/${date}`;
+    }
+
     /**
      * Parse URL slug to extract comic information (simplified for comic ID)
      * @param {string} slug - URL slug (comic ID)
@@ -27,6 +49,29 @@ export default class URLRouter {
         console.log('🔗 [URL ROUTER] Parsing slug (comic ID):', slug);
         if (!slug) return null;
         
+        // Series episodes: series/{seriesId}/{episode}; a missing episode means the first one
+        const seriesMatch = slug.match(/^series\/([a-z0-9-]+)(?:\/(\d+))?\/?$/);
+        if (seriesMatch) {
+            const result = {
+                seriesId: seriesMatch[1],
+                episode: Math.max(1, Number.parseInt(seriesMatch[2] || '1', 10)),
+                isSeries: true
+            };
+            console.log('🔗 [URL ROUTER] Parsed result (series):', result);
+            return result;
+        }
+        
+        // Comic of the day: day/{YYYY-MM-DD}
+        const dayMatch = slug.match(/^day\/(\d{4}-\d{2}-\d{2})\/?$/);
+        if (dayMatch) {
+            const result = {
+                dailyDate: dayMatch[1],
+                isDaily: true
+            };
+            console.log('🔗 [URL ROUTER] Parsed result (comic of the day):', result);
+            return result;
+        }
+        
         // Since slug is just the comic ID, return it directly
         const result = {
             comicId: slug,
@@ -40,18 +85,19 @@ export default class URLRouter {
      * Update the URL without triggering navigation
      * @param {Object} comic - Comic object
      * @param {boolean} replace - Whether to replace current state
+     * @param {string} [slug] - Slug to use instead of the comic's own, e.g. a day slug
      */
-    updateURL(comic, replace = false) {
+    updateURL(comic, replace = false, slug = this.generateSlug(comic)) {
         if (!comic) return;
         
-        const slug = this.generateSlug(comic);
         const url = `${this.baseUrl}#${slug}`;
         
         const state = {
             comicId: comic.id,
             slug: slug,
             title: comic.title || 'Comic',
-            timestamp: comic.createdAt || comic.timestamp
+            timestamp: comic.createdAt || comic.timestamp,
+            ...(comic.series && { seriesId: comic.series.id, episode: comic.series.episode })
         };
         
         if (replace) {